@@ -1,10 +1,17 @@
+import { once } from 'node:events';
+import { setImmediate } from 'node:timers/promises';
+import { fileURLToPath } from 'node:url';
 import express from 'express';
-import fullfiller from '../fullfiller.js';
+import fullfiller, { CustomError, DirectorySource, FileCache, GutenbergSource, JSONFileCorpusStore, LRUCache, MemoryCorpusStore, OfflineSource, analyzeText, configureClient, createCorpus, deleteCorpus, fullfillerStream, getCorpus, isInputFreqMap, isInputText, isInputWordsArray, listCorpora, registerSource, setCache, setCorpusStore, setFallbackSource, useSources } from '../fullfiller.js';
 
 function parseIntR10(n) {
   return parseInt(n, 10);
 }
 
+function isObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
 function objectFilter(obj, predicate) {
   return Object.fromEntries(Object.entries(obj).filter(predicate));
 }
@@ -36,11 +43,40 @@ function unflattenBreakdownOptions(options) {
   };
 }
 
+const invalidPunctuationParameter = 'Expected `punctuation` parameter to be a preset name or valid json.';
+// `punctuation` may be a preset name (e.g. `?punctuation=formal`), json (e.g. `?punctuation={"preset":"formal","end":{"16":["."]}}`)
+// or nested parameters without weight maps (e.g. `?punctuation[preset]=casual&punctuation[midProbability]=0.5`),
+// because query strings can't have numeric keys (they'd be parsed as array indexes)
+function parsePunctuationParameter(punctuation) {
+  if (typeof punctuation === 'string' && punctuation.trim().startsWith('{')) {
+    try {
+      return JSON.parse(punctuation);
+    } catch {
+      throw new CustomError(invalidPunctuationParameter, 'api', 'invalid-input');
+    }
+  }
+  if (isObject(punctuation) && punctuation.midProbability !== undefined) {
+    return {
+      ...punctuation,
+      midProbability: Number(punctuation.midProbability)
+    };
+  }
+  return punctuation;
+}
+
 // used for requests containing query parameters or x-www-form-urlencoded body
-// parameters to be converted: quantity, sentencesPerParagraph and wordsPerSentence
+// parameters to be converted: quantity, order, depth, sentencesPerParagraph, wordsPerSentence,
+// emphasizeBy, tierWeightMin, tierWeightMax, mergePosteriorTiersAt, emphasizeTopic, autocorrect, emphasize and punctuation
 function convertNumericParametersToNumbers(inputs) {
   return Object.fromEntries(Object.entries(inputs).map(([k, v]) => {
-    if (k === 'quantity') return [k, parseIntR10(v)];
+    if (['quantity', 'order', 'depth', 'tierWeightMin', 'tierWeightMax', 'mergePosteriorTiersAt'].includes(k)) return [k, parseIntR10(v)];
+    if (k === 'emphasizeBy') return [k, Number(v)];
+    if (k === 'punctuation') return [k, parsePunctuationParameter(v)];
+    if (k === 'emphasizeTopic' || k === 'autocorrect') return [k, v === 'true' || v === '' ? true : v === 'false' ? false : v];
+    // e.g. `?emphasize=espresso,latte` or `?emphasize=espresso&emphasize=latte`
+    if (k === 'emphasize') {
+      return [k, (Array.isArray(v) ? v : [v]).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(item => item !== '')];
+    }
     if (k === 'sentencesPerParagraph' || k === 'wordsPerSentence') {
       return [k, {
         ...(v.min !== undefined ? {
@@ -55,10 +91,329 @@ function convertNumericParametersToNumbers(inputs) {
   }));
 }
 
+// unlike json, query parameters and x-www-form-urlencoded bodies only support strings
+function parseParameters(req, parameters) {
+  return req.is('application/json') === 'json' ? parameters : convertNumericParametersToNumbers(parameters);
+}
+
+// input types accepted in request bodies (besides query string)
+// `key` = property containing the input, `limit` = maximum size of that property
+const inputTypes = {
+  text: {
+    key: 'body',
+    isValid: isInputText,
+    size: body => body.length,
+    limit: 200000,
+    unit: 'characters'
+  },
+  words: {
+    key: 'words',
+    isValid: isInputWordsArray,
+    size: words => words.length,
+    limit: 50000,
+    unit: 'words'
+  },
+  freqmap: {
+    key: 'map',
+    isValid: isInputFreqMap,
+    size: map => Object.values(map).reduce((acc, tier) => acc + tier.length, 0),
+    limit: 50000,
+    unit: 'words'
+  }
+};
+const invalidBodyInput = key => `Expected request body to contain \`title\` and a valid \`${key}\`.`;
+const bodyInputTooLarge = (key, limit, unit) => `Expected \`${key}\` to have at most ${limit} ${unit}.`;
+const missingBodyInput = 'Expected request body to contain `query`, `corpus`, `body`, `words` or `map`.';
+
+/**
+ * Blend input from repeated `query` parameters (e.g. `?query=coffee&query=tea&weights=70&weights=30`)
+ * or from a body array containing query strings, `{ query, weight }`, `{ corpus, weight }` or `{ title, body|words|map, weight }`.
+ */
+function getBlendInput(queries, weights = []) {
+  return queries.map((source, i) => {
+    if (!isObject(source)) {
+      return {
+        input: source,
+        weight: Number(weights[i] ?? 1)
+      };
+    }
+    const {
+      weight = weights[i] ?? 1,
+      query,
+      ...input
+    } = source;
+    // body inputs have the same limits as outside of blends
+    const inputType = Object.keys(inputTypes).find(type => inputTypes[type].key in input);
+    if (query === undefined && inputType !== undefined) checkBodyInput(input, inputType);
+    return {
+      input: query ?? input,
+      weight: Number(weight)
+    };
+  });
+}
+
+// `query` may be a single query string or an array of them (blend)
+// `corpus` (id of a stored corpus profile) is used instead of `query` if the latter is missing
+function getQueryInput({
+  query,
+  corpus,
+  weights,
+  ...options
+}) {
+  if (query === undefined && corpus !== undefined) {
+    return {
+      input: {
+        corpus
+      },
+      options
+    };
+  }
+  return {
+    input: Array.isArray(query) ? getBlendInput(query, weights) : query,
+    options
+  };
+}
+
+/** @throws Error if input is invalid or exceeds its size limit. */
+function checkBodyInput(input, inputType) {
+  const {
+    key,
+    isValid,
+    size,
+    limit,
+    unit
+  } = inputTypes[inputType];
+  if (!isValid(input)) throw new CustomError(invalidBodyInput(key), 'api', 'invalid-input');
+  if (size(input[key]) > limit) {
+    throw new CustomError(bodyInputTooLarge(key, limit, unit), 'api', 'input-too-large');
+  }
+}
+
+/**
+ * Extract input & options from a request body containing `title` and one of `body`, `words` or `map`.
+ * @throws Error if input is invalid or exceeds its size limit.
+ */
+function getBodyInput(parameters, inputType) {
+  const {
+    key
+  } = inputTypes[inputType];
+  const {
+    title,
+    [key]: value,
+    ...options
+  } = parameters;
+  const input = {
+    title,
+    [key]: value
+  };
+  checkBodyInput(input, inputType);
+  return {
+    input,
+    options
+  };
+}
+
+// request bodies may contain any input type: `query`, `corpus` or `title` and one of `body`, `words` or `map`
+function getAnyBodyInput(parameters) {
+  if (parameters.query !== undefined || parameters.corpus !== undefined) return getQueryInput(parameters);
+  const inputType = Object.keys(inputTypes).find(type => inputTypes[type].key in parameters);
+  if (inputType === undefined) throw new CustomError(missingBodyInput, 'api', 'invalid-input');
+  return getBodyInput(parameters, inputType);
+}
+
+const invalidStream = "Expected `stream` parameter to be 'chunked' or 'sse'.";
+const streamContentTypes = {
+  plain: 'text/plain',
+  html: 'text/html',
+  markdown: 'text/markdown'
+};
+
+// resolves once response buffer is drained or client has disconnected
+// listeners of the event which didn't happen are removed, otherwise every wait would leave one behind
+async function drainOrClose(res) {
+  const controller = new AbortController();
+  try {
+    await Promise.race([once(res, 'drain', {
+      signal: controller.signal
+    }), once(res, 'close', {
+      signal: controller.signal
+    })]);
+  } finally {
+    controller.abort();
+  }
+}
+
+/**
+ * Write filler paragraph by paragraph, as soon as each one is generated.
+ * - `chunked`: plain text/html/markdown; title and seed are sent in headers
+ * - `sse`: server-sent events; `meta` (every field but body), one `paragraph` per chunk, then `end`
+ * Chunked body is the same text as the non-streamed one, while events carry bare paragraphs.
+ */
+async function streamFiller(res, input, stream, options, include) {
+  if (!['chunked', 'sse'].includes(stream)) throw new CustomError(invalidStream, 'api', 'invalid-input');
+  const {
+    body,
+    separator,
+    ...meta
+  } = await fullfillerStream(input, options, include);
+  if (stream === 'sse') {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(`event: meta\ndata: ${JSON.stringify(meta)}\n\n`);
+  } else {
+    res.status(200).set({
+      'Content-Type': `${streamContentTypes[options.format ?? 'plain']}; charset=utf-8`,
+      'X-Fullfiller-Title': encodeURIComponent(meta.title),
+      'X-Fullfiller-Seed': meta.seed
+    });
+  }
+  let isFirstChunk = true;
+  for (const chunk of body) {
+    if (res.destroyed) return; // client disconnected
+    const data = stream === 'sse' ? `event: paragraph\ndata: ${JSON.stringify(chunk)}\n\n` : `${isFirstChunk ? '' : separator}${chunk}`;
+    isFirstChunk = false;
+    // let other requests be handled between chunks
+    await (res.write(data) ? setImmediate() : drainOrClose(res));
+  }
+  if (stream === 'sse') res.write('event: end\ndata: {}\n\n');
+  res.end();
+}
+
+// `include` may be an array or a comma-separated list, e.g. `?include=summary,categories`
+// title is always included
+function parseInclude(include = []) {
+  const items = (Array.isArray(include) ? include : [include]).flatMap(item => String(item).split(','));
+  return [...new Set(['title', ...items.map(item => item.trim()).filter(item => item !== '')])];
+}
+
+// `stream` parameter (any route) switches from a json response to a streamed one
+async function sendFiller(res, input, {
+  stream,
+  include,
+  ...options
+}) {
+  if (stream !== undefined) return streamFiller(res, input, stream, options, parseInclude(include));
+  return res.status(200).json(await fullfiller(input, options, parseInclude(include)));
+}
+
+// express 4 doesn't forward rejected promises to error-handling middleware
+function asyncHandler(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+// `CustomError.code` => HTTP status code; codes not listed here default to 422
+const statusCodes = {
+  'validation-failed': 400,
+  'invalid-input': 400,
+  'input-too-large': 413,
+  'article-not-found': 404,
+  'article-is-disambiguation': 409,
+  'corpus-not-found': 404,
+  'corpus-already-exists': 409,
+  'upstream-fetch-failed': 502
+};
+
+// every error is sent as `{ error: { code, message, ...details } }`
+// e.g. validation errors include `errors` and disambiguation errors include `suggestions`
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err instanceof CustomError) {
+    return res.status(statusCodes[err.code] ?? 422).json({
+      error: {
+        code: err.code,
+        message: err.message,
+        ...err.details
+      }
+    });
+  }
+  // body-parser errors (e.g. malformed json) come with their own status
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: {
+        code: 'input-too-large',
+        message: 'Expected request body to be smaller than 1mb.'
+      }
+    });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: {
+        code: 'invalid-body',
+        message: 'Expected request body to be valid json.'
+      }
+    });
+  }
+  console.error(err);
+  return res.status(500).json({
+    error: {
+      code: 'internal-error',
+      message: 'Something went wrong while generating filler text.'
+    }
+  });
+}
+
+// Wikipedia responses & article freqMaps are cached in memory by default
+// set `CACHE_STORE=file` to persist them at `CACHE_DIRECTORY` instead
+// (on serverless platforms only `/tmp` is writable)
+const cacheOptions = {
+  ...(process.env.CACHE_TTL !== undefined ? {
+    ttl: parseIntR10(process.env.CACHE_TTL)
+  } : {}),
+  ...(process.env.CACHE_DIRECTORY !== undefined ? {
+    directory: process.env.CACHE_DIRECTORY
+  } : {})
+};
+setCache(process.env.CACHE_STORE === 'file' ? new FileCache(cacheOptions) : new LRUCache(cacheOptions));
+
+// besides Wikipedia, corpora can be read from local directories:
+// `SOURCE_DIRECTORY` (plain text & markdown files) as `local` and `GUTENBERG_DIRECTORY` (Project Gutenberg books) as `gutenberg`
+// `SOURCES` restricts which ones can be used, first one is the default (e.g. `SOURCES=local` makes no external calls)
+if (process.env.SOURCE_DIRECTORY !== undefined) {
+  registerSource('local', new DirectorySource({
+    directory: process.env.SOURCE_DIRECTORY
+  }));
+}
+if (process.env.GUTENBERG_DIRECTORY !== undefined) {
+  registerSource('gutenberg', new GutenbergSource({
+    directory: process.env.GUTENBERG_DIRECTORY
+  }));
+}
+if (process.env.SOURCES !== undefined) useSources(process.env.SOURCES.split(',').map(name => name.trim()));
+
+// Wikipedia client: `WIKIPEDIA_TIMEOUT` (ms per attempt), `WIKIPEDIA_RETRIES` & `WIKIPEDIA_USER_AGENT`
+configureClient({
+  ...(process.env.WIKIPEDIA_TIMEOUT !== undefined ? {
+    timeout: parseIntR10(process.env.WIKIPEDIA_TIMEOUT)
+  } : {}),
+  ...(process.env.WIKIPEDIA_RETRIES !== undefined ? {
+    retries: parseIntR10(process.env.WIKIPEDIA_RETRIES)
+  } : {}),
+  ...(process.env.WIKIPEDIA_USER_AGENT !== undefined ? {
+    userAgent: process.env.WIKIPEDIA_USER_AGENT
+  } : {})
+});
+// `OFFLINE_FALLBACK=true` serves filler from the bundled corpus (reported in `fallback`) when Wikipedia is unreachable
+if (process.env.OFFLINE_FALLBACK === 'true') {
+  setFallbackSource(new OfflineSource({
+    directory: fileURLToPath(new URL('../offline', import.meta.url))
+  }));
+}
+
+// corpus profiles are kept in memory by default
+// set `CORPUS_STORE=file` to share them through a json file at `CORPUS_FILE`
+setCorpusStore(process.env.CORPUS_STORE === 'file' ? new JSONFileCorpusStore({
+  ...(process.env.CORPUS_FILE !== undefined ? {
+    path: process.env.CORPUS_FILE
+  } : {})
+}) : new MemoryCorpusStore());
+
 const app = express();
 
-app.use(express.json()); // parse application/json
-app.use(express.urlencoded({ extended: true })); // parse application/x-www-form-urlencoded
+app.use(express.json({ limit: '1mb' })); // parse application/json
+app.use(express.urlencoded({ extended: true, limit: '1mb' })); // parse application/x-www-form-urlencoded
 
 app.use(express.static('./site/'));
 //
@@ -68,24 +423,83 @@ app.get('/', (req, res) => {
 
 // endpoint handles requests of 2 types:
 // - requests with query parameters, e.g. `?query=harry potter&format=html`
+//   (repeated `query` blends articles, e.g. `?query=coffee&query=tea&weights=70&weights=30`)
 // - requests with a body containing json or urlencoded data
-app.get('/api/', async (
+app.get('/api/', asyncHandler(async (
 // express.Request<P, ResBody, ReqBody, ReqQuery, Locals extends Record<string, any>>
 req, res) => {
   const inputs = Object.keys(req.query).length !== 0 ? req.query : req.body;
   const {
-    query,
-    ...options
-  } =
-  // unlike json, query parameters and x-www-form-urlencoded bodies only support strings
-  req.is('application/json') === 'json' ? inputs : convertNumericParametersToNumbers(inputs);
-  const filler = await fullfiller(query, options);
-  res.status(200).json(filler);
+    input,
+    options
+  } = getQueryInput(parseParameters(req, inputs));
+  await sendFiller(res, input, options);
+}));
+// endpoint handles json or urlencoded bodies containing any input type:
+// `query`, `corpus` or `title` and one of `body`, `words` or `map`
+app.post('/api/', asyncHandler(async (req, res) => {
+  const {
+    input,
+    options
+  } = getAnyBodyInput(parseParameters(req, req.body));
+  await sendFiller(res, input, options);
+}));
+// endpoints handle bodies containing a specific input type, e.g. `/api/text` => `{ title, body }`
+Object.keys(inputTypes).forEach(inputType => {
+  app.post(`/api/${inputType}`, asyncHandler(async (req, res) => {
+    const {
+      input,
+      options
+    } = getBodyInput(parseParameters(req, req.body), inputType);
+    await sendFiller(res, input, options);
+  }));
 });
+// scores submitted text (`body`) the same way `include=stats` scores filler
+// e.g. `{ "body": "...", "language": "en" }`, to compare filler with the copy it replaces
+app.post('/api/analyze', asyncHandler(async (req, res) => {
+  const {
+    body,
+    language
+  } = req.body;
+  const {
+    limit,
+    unit
+  } = inputTypes.text;
+  if (typeof body === 'string' && body.length > limit) {
+    throw new CustomError(bodyInputTooLarge('body', limit, unit), 'api', 'input-too-large');
+  }
+  res.status(200).json(analyzeText(body, language !== undefined ? {
+    language
+  } : {}));
+}));
+// corpus profiles: a freqMap built once from any input type (same parameters as `POST /api/`) and stored under `id`
+// (e.g. `fintech`, a random one is generated if missing), then used to generate filler with `corpus=<id>`
+app.post('/api/corpora', asyncHandler(async (req, res) => {
+  const {
+    input,
+    options: {
+      id,
+      ...options
+    }
+  } = getAnyBodyInput(parseParameters(req, req.body));
+  res.status(201).json(await createCorpus(input, options, id));
+}));
+// every profile, without its freqMap
+app.get('/api/corpora', asyncHandler(async (req, res) => {
+  res.status(200).json(await listCorpora());
+}));
+app.get('/api/corpora/:id', asyncHandler(async (req, res) => {
+  res.status(200).json(await getCorpus(req.params.id));
+}));
+app.delete('/api/corpora/:id', asyncHandler(async (req, res) => {
+  await deleteCorpus(req.params.id);
+  res.status(204).end();
+}));
 // endpoint handles requests with route parameters (also known as path)
+// `seed` is the last segment, e.g. `/api/harry potter/paragraphs/3/html/5/25/5/14/42`
 app.get(
 // {0,} = you can leave parameter empty while still being able to declare subsequent parameters
-'/api/:query/:unit(\\w{0,})?/:quantity(\\d{0,})?/:format(\\w{0,})?/:sentencesPerParagraphMin(\\d{0,})?/:sentencesPerParagraphMax(\\d{0,})?/:wordsPerSentenceMin(\\d{0,})?/:wordsPerSentenceMax(\\d{0,})?', async (req, res) => {
+'/api/:query/:unit(\\w{0,})?/:quantity(\\d{0,})?/:format(\\w{0,})?/:sentencesPerParagraphMin(\\d{0,})?/:sentencesPerParagraphMax(\\d{0,})?/:wordsPerSentenceMin(\\d{0,})?/:wordsPerSentenceMax(\\d{0,})?/:seed(\\w{0,})?', asyncHandler(async (req, res) => {
   const inputs = objectFilter(req.params, ([, v]) => v !== ''); // filter out empty inputs
   const {
     query,
@@ -94,11 +508,18 @@ app.get(
     ...unflattenBreakdownOptions(inputs),
     ...(inputs.quantity !== undefined ? {
       quantity: parseIntR10(inputs.quantity)
-    } : {})
+    } : {}),
+    // path has no segments for them, so `stream`, `include` & `punctuation` can be sent as query parameters (e.g. `?stream=sse`)
+    ...objectFilter({
+      stream: req.query.stream,
+      include: req.query.include,
+      punctuation: req.query.punctuation !== undefined ? parsePunctuationParameter(req.query.punctuation) : undefined
+    }, ([, v]) => v !== undefined)
   };
-  const filler = await fullfiller(query, options);
-  res.status(200).json(filler);
-});
+  await sendFiller(res, query, options);
+}));
+
+app.use(errorHandler);
 
 // app.get('/api', (req, res) => {
 //   console.log('home endpoint');
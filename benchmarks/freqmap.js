@@ -0,0 +1,106 @@
+// Compare freqMap construction against its previous implementation (`reduce` + object spread),
+// which was quadratic on the quantity of words. Run with `npm run bench`.
+import { performance } from 'node:perf_hooks';
+import { generateFreqMap } from '../fullfiller.js';
+
+const legacy = {
+  emphasize(freqMapWordAsKey, wordsToEmphasize, emphasizeBy) {
+    return wordsToEmphasize.reduce((freqMap, word) => !Object.prototype.hasOwnProperty.call(freqMap, word) ? freqMap : {
+      ...freqMap,
+      [word]: Math.round(freqMap[word] * emphasizeBy)
+    }, freqMapWordAsKey);
+  },
+  generateFreqMapWeightAsKey(freqMapWordAsKey) {
+    return Object.keys(freqMapWordAsKey).reduce((freqMap, word) => {
+      const weight = freqMapWordAsKey[word];
+      return {
+        ...freqMap,
+        [weight]: (freqMap[weight] || []).concat(word)
+      };
+    }, {});
+  },
+  generateFreqMapWordAsKey(wordsArray) {
+    return wordsArray.reduce((freqMap, word) => ({
+      ...freqMap,
+      [word]: Object.prototype.hasOwnProperty.call(freqMap, word) ? freqMap[word] + 1 : 1
+    }), {});
+  },
+  shortenFreqMap(freqMap, tierWeightMin, tierWeightMax, mergePosteriorTiersAt) {
+    return Object.entries(freqMap).reduce((shortened, entry) => {
+      const weight = Number(entry[0]);
+      const tier = entry[1];
+      if (weight < tierWeightMin || tierWeightMax !== -1 && weight > tierWeightMax) {
+        return shortened;
+      }
+      if (mergePosteriorTiersAt !== -1 && weight > mergePosteriorTiersAt) {
+        return {
+          ...shortened,
+          [mergePosteriorTiersAt]: (shortened[mergePosteriorTiersAt] || []).concat(freqMap[weight])
+        };
+      }
+      return {
+        ...shortened,
+        [weight]: tier
+      };
+    }, {});
+  },
+  generateFreqMap(wordsArray, wordsToEmphasize, options) {
+    const freqMapWordAsKey = legacy.emphasize(legacy.generateFreqMapWordAsKey(wordsArray), wordsToEmphasize, options.emphasizeBy);
+    return legacy.shortenFreqMap(legacy.generateFreqMapWeightAsKey(freqMapWordAsKey), options.tierWeightMin, options.tierWeightMax, options.mergePosteriorTiersAt);
+  }
+};
+
+// deterministic pseudo-random generator (mulberry32), so every run uses the same texts
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = state + 0x6d2b79f5 | 0;
+    let t = Math.imul(state ^ state >>> 15, 1 | state);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+// words follow Zipf's law (a few very common words, a long tail of rare ones), like natural language
+function generateWords(quantity, vocabularySize, random) {
+  const vocabulary = Array.from({
+    length: vocabularySize
+  }, (_, i) => `word${i.toString(36)}`);
+  return Array.from({
+    length: quantity
+  }, () => vocabulary[Math.floor(vocabularySize ** random()) - 1]);
+}
+
+function measure(fn) {
+  const start = performance.now();
+  const result = fn();
+  return {
+    result,
+    time: performance.now() - start
+  };
+}
+
+const options = {
+  emphasizeBy: 2,
+  tierWeightMin: 2,
+  tierWeightMax: -1,
+  mergePosteriorTiersAt: 50
+};
+const random = createRandom(42);
+// `[wordsQuantity, vocabularySize, runLegacy]`, previous implementation takes too long on bigger texts
+const sizes = [[1000, 500, true], [10000, 3000, true], [20000, 5000, false], [100000, 20000, false], [500000, 50000, false]];
+
+sizes.forEach(([wordsQuantity, vocabularySize, runLegacy]) => {
+  const words = generateWords(wordsQuantity, vocabularySize, random);
+  const wordsToEmphasize = words.slice(0, 20);
+  const current = measure(() => generateFreqMap(words, wordsToEmphasize, options));
+  const row = [`${wordsQuantity} words (${vocabularySize} vocabulary)`, `current: ${current.time.toFixed(1)}ms`];
+  if (runLegacy) {
+    const previous = measure(() => legacy.generateFreqMap(words, wordsToEmphasize, options));
+    if (JSON.stringify(previous.result) !== JSON.stringify(current.result)) {
+      throw new Error(`Outputs differ for ${wordsQuantity} words.`);
+    }
+    row.push(`previous: ${previous.time.toFixed(1)}ms`, `${(previous.time / current.time).toFixed(0)}x faster`);
+  }
+  console.log(row.join(' | '));
+});
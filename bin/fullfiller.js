@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import fullfiller, { CustomError, DirectorySource, GutenbergSource, JSONFileCorpusStore, configureClient, registerSource, setCorpusStore } from '../fullfiller.js';
+
+const usage = `Usage: fullfiller [options]
+
+Input (one of them, otherwise text is read from stdin):
+  -q, --query <query>                   Wikipedia article (or \`source:query\`), repeat it to blend articles
+      --weight <number>                 weight of the respective --query when blending
+  -f, --file <path>                     text file, used as \`{ title, body }\`
+      --freqmap <path>                  json file containing \`{ title, map }\` or a frequency map
+      --corpus <id>                     stored corpus profile (see --corpus-file)
+      --title <title>                   title of text or frequency map inputs (defaults to file name)
+
+Options:
+  -u, --unit <unit>                     words, sentences, paragraphs or characters
+  -n, --quantity <number>               quantity of units
+      --format <format>                 plain, html, markdown or json
+      --sentences-per-paragraph <min-max>  e.g. 4-8
+      --words-per-sentence <min-max>    e.g. 7-13
+  -l, --language <code>                 en, pt, es, fr or de
+      --structure <structure>           none, document or article
+      --mode <mode>                     unigram or markov
+      --order <number>                  markov chain order (1-3)
+  -s, --seed <seed>                     reproduce a previous output
+      --source <name>                   source adapter used by queries (wikipedia, local or gutenberg)
+      --on-disambiguation <action>      error, first or best
+      --autocorrect                     retry queries without results using a spelling suggestion
+      --expand <expand>                 none, links or categories
+      --depth <number>                  related articles added by --expand (1-10)
+      --emphasize <words>               comma-separated keywords to boost
+      --emphasize-topic                 boost words from the article's title, aliases & label
+      --emphasize-by <number>           multiplier applied to emphasized words
+      --tier-weight-min <number>        drop words occurring fewer times
+      --tier-weight-max <number>        drop words occurring more times (-1 to disable)
+      --merge-posterior-tiers-at <number>  merge tiers above this weight (-1 to disable)
+      --punctuation <profile>           default, formal, casual, none or json, e.g. '{"preset":"formal","midProbability":0.3}'
+      --include <resources>             comma-separated, e.g. freqMap,stats (only with --json)
+      --corpus-file <path>              json file storing corpus profiles (defaults to .fullfiller-corpora.json)
+      --source-directory <path>         plain text & markdown files, queried as the \`local\` source
+      --gutenberg-directory <path>      Project Gutenberg books, queried as the \`gutenberg\` source
+      --timeout <ms>                    Wikipedia request timeout, per attempt
+
+Output:
+  -o, --out <path>                      write to file instead of stdout
+      --json                            full result object (title, seed...) instead of body only
+  -h, --help                            show this message
+`;
+
+const argsOptions = {
+  query: { type: 'string', short: 'q', multiple: true },
+  weight: { type: 'string', multiple: true },
+  file: { type: 'string', short: 'f' },
+  freqmap: { type: 'string' },
+  corpus: { type: 'string' },
+  title: { type: 'string' },
+  unit: { type: 'string', short: 'u' },
+  quantity: { type: 'string', short: 'n' },
+  format: { type: 'string' },
+  'sentences-per-paragraph': { type: 'string' },
+  'words-per-sentence': { type: 'string' },
+  language: { type: 'string', short: 'l' },
+  structure: { type: 'string' },
+  mode: { type: 'string' },
+  order: { type: 'string' },
+  seed: { type: 'string', short: 's' },
+  source: { type: 'string' },
+  'on-disambiguation': { type: 'string' },
+  autocorrect: { type: 'boolean' },
+  expand: { type: 'string' },
+  depth: { type: 'string' },
+  emphasize: { type: 'string' },
+  'emphasize-topic': { type: 'boolean' },
+  'emphasize-by': { type: 'string' },
+  'tier-weight-min': { type: 'string' },
+  'tier-weight-max': { type: 'string' },
+  'merge-posterior-tiers-at': { type: 'string' },
+  punctuation: { type: 'string' },
+  include: { type: 'string' },
+  'corpus-file': { type: 'string' },
+  'source-directory': { type: 'string' },
+  'gutenberg-directory': { type: 'string' },
+  timeout: { type: 'string' },
+  out: { type: 'string', short: 'o' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// thrown on invalid command-line usage (as opposed to invalid options, which `fullfiller` validates)
+class UsageError extends Error {}
+
+function parseIntR10(n) {
+  return parseInt(n, 10);
+}
+
+function objectFilter(obj, predicate) {
+  return Object.fromEntries(Object.entries(obj).filter(predicate));
+}
+
+// e.g. `4-8` => `{ min: 4, max: 8 }`, either side may be omitted (`4-` or `-8`)
+function parseRange(range, name) {
+  const match = /^(\d*)-(\d*)$/.exec(range);
+  if (match === null || match[1] === '' && match[2] === '') {
+    throw new UsageError(`Expected \`--${name}\` to be a range, e.g. \`4-8\`.`);
+  }
+  return {
+    ...(match[1] !== '' ? { min: parseIntR10(match[1]) } : {}),
+    ...(match[2] !== '' ? { max: parseIntR10(match[2]) } : {})
+  };
+}
+
+const splitList = list => list.split(',').map(item => item.trim()).filter(item => item !== '');
+
+// preset name or json profile (`{ preset, end, mid, midProbability }`)
+function parsePunctuation(punctuation) {
+  if (!punctuation.trim().startsWith('{')) return punctuation;
+  try {
+    return JSON.parse(punctuation);
+  } catch {
+    throw new UsageError('Expected `--punctuation` to be a preset name or valid json.');
+  }
+}
+
+// command-line values are strings, converted here to the types `fullfiller` expects
+function getOptions(values) {
+  return objectFilter({
+    unit: values.unit,
+    quantity: values.quantity !== undefined ? parseIntR10(values.quantity) : undefined,
+    format: values.format,
+    sentencesPerParagraph: values['sentences-per-paragraph'] !== undefined ? parseRange(values['sentences-per-paragraph'], 'sentences-per-paragraph') : undefined,
+    wordsPerSentence: values['words-per-sentence'] !== undefined ? parseRange(values['words-per-sentence'], 'words-per-sentence') : undefined,
+    language: values.language,
+    structure: values.structure,
+    mode: values.mode,
+    order: values.order !== undefined ? parseIntR10(values.order) : undefined,
+    seed: values.seed,
+    source: values.source,
+    onDisambiguation: values['on-disambiguation'],
+    autocorrect: values.autocorrect,
+    expand: values.expand,
+    depth: values.depth !== undefined ? parseIntR10(values.depth) : undefined,
+    emphasize: values.emphasize !== undefined ? splitList(values.emphasize) : undefined,
+    emphasizeTopic: values['emphasize-topic'],
+    emphasizeBy: values['emphasize-by'] !== undefined ? Number(values['emphasize-by']) : undefined,
+    tierWeightMin: values['tier-weight-min'] !== undefined ? parseIntR10(values['tier-weight-min']) : undefined,
+    tierWeightMax: values['tier-weight-max'] !== undefined ? parseIntR10(values['tier-weight-max']) : undefined,
+    mergePosteriorTiersAt: values['merge-posterior-tiers-at'] !== undefined ? parseIntR10(values['merge-posterior-tiers-at']) : undefined,
+    punctuation: values.punctuation !== undefined ? parsePunctuation(values.punctuation) : undefined
+  }, ([, v]) => v !== undefined);
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+const titleFromPath = path => basename(path, extname(path));
+
+/** Every input type can be given, but only one at a time; stdin is read if there's none. */
+async function getInput(values) {
+  const given = ['query', 'file', 'freqmap', 'corpus'].filter(key => values[key] !== undefined);
+  if (given.length > 1) throw new UsageError(`Expected only one input, got: ${given.map(key => `--${key}`).join(', ')}.`);
+  if (values.query !== undefined) {
+    if (values.query.length === 1) return values.query[0];
+    const weights = values.weight ?? [];
+    return values.query.map((query, i) => ({
+      input: query,
+      weight: Number(weights[i] ?? 1)
+    }));
+  }
+  if (values.corpus !== undefined) return { corpus: values.corpus };
+  if (values.freqmap !== undefined) {
+    let json;
+    try {
+      json = JSON.parse(await readFile(values.freqmap, 'utf8'));
+    } catch (err) {
+      throw new UsageError(`Couldn't read frequency map from \`${values.freqmap}\`: ${err.message}`);
+    }
+    // `{ title, map }`, output of `--json --include freqMap` (`{ title, freqMap }`) or a bare frequency map
+    return {
+      title: values.title ?? json.title ?? titleFromPath(values.freqmap),
+      map: json.map ?? json.freqMap ?? json
+    };
+  }
+  if (values.file !== undefined) {
+    return {
+      title: values.title ?? titleFromPath(values.file),
+      body: await readFile(values.file, 'utf8')
+    };
+  }
+  if (process.stdin.isTTY) throw new UsageError('Expected an input (e.g. `--query coffee`) or text piped into stdin.');
+  return {
+    title: values.title ?? 'stdin',
+    body: await readStdin()
+  };
+}
+
+function stringifyResult(result, json) {
+  if (json) return JSON.stringify(result, null, 2);
+  return typeof result.body === 'string' ? result.body : JSON.stringify(result.body, null, 2);
+}
+
+async function main() {
+  const {
+    values
+  } = parseArgs({
+    options: argsOptions
+  });
+  if (values.help) {
+    process.stdout.write(usage);
+    return;
+  }
+  setCorpusStore(new JSONFileCorpusStore(values['corpus-file'] !== undefined ? { path: values['corpus-file'] } : {}));
+  if (values.timeout !== undefined) configureClient({ timeout: parseIntR10(values.timeout) });
+  if (values['source-directory'] !== undefined) registerSource('local', new DirectorySource({ directory: values['source-directory'] }));
+  if (values['gutenberg-directory'] !== undefined) registerSource('gutenberg', new GutenbergSource({ directory: values['gutenberg-directory'] }));
+  const input = await getInput(values);
+  const include = ['title', ...(values.include !== undefined ? splitList(values.include) : [])];
+  const result = await fullfiller(input, getOptions(values), include);
+  const output = `${stringifyResult(result, values.json)}\n`;
+  if (values.out !== undefined) await writeFile(values.out, output);
+  else process.stdout.write(output);
+}
+
+try {
+  await main();
+} catch (err) {
+  if (err instanceof CustomError) {
+    // validation errors are listed one per line
+    const messages = err.details.errors?.map(error => error.message) ?? [err.message];
+    process.stderr.write(`fullfiller: ${messages.join('\nfullfiller: ')}\n`);
+    process.exitCode = 1;
+  } else if (err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS_') || err.code === 'ENOENT') {
+    process.stderr.write(`fullfiller: ${err.message}\nRun \`fullfiller --help\` for usage.\n`);
+    process.exitCode = 2;
+  } else {
+    throw err;
+  }
+}
@@ -1,12 +1,16 @@
 class CustomError extends Error {
   /**
-   * Create a `CustomError` (same as `Error` but with an extra property called `library`).
+   * Create a `CustomError` (same as `Error` but with a few extra properties).
    * @param message Argument to be passed to base constructor (`Error()`).
    * @param library Name of the library in which error will be thrown.
+   * @param code Stable machine-readable identifier (e.g. `article-not-found`).
+   * @param details Structured data about the error (e.g. `{ suggestions: [...] }`).
    */
-  constructor(message, library) {
+  constructor(message, library, code, details = {}) {
     super(message);
     this.library = library;
+    this.code = code;
+    this.details = details;
   }
   toString() {
     return `Error in \`${this.library}\` library:\n\t${this.message}`;
@@ -37,16 +41,20 @@ const wordsPerSentenceDefault = {
 // tree-shaking isn't possible when exporting an object
 // https://medium.com/@rauschma/note-that-default-exporting-objects-is-usually-an-anti-pattern-if-you-want-to-export-the-cf674423ac38#.nibatprx3
 // used at `fullfiller/src/validate`
-const invalidInput = 'Expected `input` argument to be one of the valid types (query string, text, words array or frequency map).';
+const invalidInput = 'Expected `input` argument to be one of the valid types (query string, text, words array, frequency map or corpus).';
 const emptyQueryString = 'Expected non-empty query string at `input` argument.';
+const invalidSpecialQuery = specialQueriesList => `Expected query string starting with \`:\` to be one of: ${specialQueriesList.join(', ')}.`;
+const invalidBlend = 'Expected blend input to be a non-empty array of inputs (or `{ input, weight }` objects), none of them being another blend.';
+const invalidBlendWeight = 'Expected every blend `weight` to be a positive number.';
 const textTooShort = 'Expected given text (in `input.body` argument) to have at least 150 words.';
 //
-const invalidUnit = "Expected `unit` argument to be 'words' or 'paragraphs'.";
+const invalidUnit = "Expected `unit` argument to be 'words', 'sentences', 'paragraphs' or 'characters'.";
+const invalidCharactersUnit = "Expected `format` argument to be 'plain' and `structure` argument to be 'none' when `unit` is 'characters'.";
 //
 const quantityNotNumber = 'Expected `quantity` argument to be a number.';
-const quantityTooSmall = wordsMinimum => `Expected \`quantity\` argument to be greater than 1 paragraph / ${wordsMinimum} words.`;
+const quantityTooSmall = (minimum, unit) => `Expected \`quantity\` argument to be at least ${minimum} ${unit}.`;
 //
-const invalidFormat = "Expected `format` argument to be 'plain' or 'html'.";
+const invalidFormat = "Expected `format` argument to be 'plain', 'html', 'markdown' or 'json'.";
 //
 const invalidSentencesPerParagraph = 'Expected `sentencesPerParagraph` argument to be an object (`{ min: number, max: number }`).';
 const sentencesPerParagraphMinTooSmall = 'Expected `sentencesPerParagraph.min` argument to be at least 3.';
@@ -57,8 +65,58 @@ const invalidWordsPerSentence = 'Expected `wordsPerSentence` argument to be an o
 const wordsPerSentenceMinTooSmall = 'Expected `wordsPerSentence.min` argument to be at least 3.';
 const wordsPerSentenceMaxTooSmall = 'Expected `wordsPerSentence.max` argument to be at least 3.';
 const invalidWordsPerSentenceMax = 'Expected `wordsPerSentence.max` to be at least `wordsPerSentence.min * 2 - 1`.';
-const articleNotFound = 'Wikipedia does not have an article with this exact title. Try again using a different query.';
-const articleIsDisambiguation = suggestions => `This query points to a Wikipedia disambiguation page. You've got to be more specific.${suggestions.length > 0 ? ` Query suggestions:\n- ${suggestions.splice(0, 10).join('\n- ')}.` : ` No query suggestions were found.`}`;
+//
+const invalidLanguage = languagesCodes => `Expected \`language\` argument to be one of: ${languagesCodes.join(', ')}.`;
+//
+const invalidStructure = "Expected `structure` argument to be 'none', 'document' or 'article'.";
+//
+const invalidStreamFormat = "Expected `format` argument to be 'plain', 'html' or 'markdown' when streaming.";
+const invalidStreamUnit = "Expected `unit` argument not to be 'characters' when streaming.";
+const invalidStreamStructure = "Expected `structure` argument to be 'none' when streaming.";
+const invalidStreamInclude = 'Expected `include` argument not to contain `stats` when streaming.';
+//
+const invalidMode = "Expected `mode` argument to be 'unigram' or 'markov'.";
+const invalidOrder = 'Expected `order` argument to be an integer between 1 and 3.';
+const invalidMarkovInput = "Expected `input` argument not to be a frequency map, a corpus or a blend when `mode` is 'markov'.";
+const invalidMarkovOptions = "Expected `emphasize`, `emphasizeTopic`, `emphasizeBy`, `tierWeightMin`, `tierWeightMax` and `mergePosteriorTiersAt` arguments not to be given when `mode` is 'markov'.";
+//
+const invalidInclude = includeOptionsList => `Expected \`include\` argument to be an array containing any of: ${includeOptionsList.join(', ')}.`;
+//
+const invalidEmphasize = 'Expected `emphasize` argument to be an array of strings.';
+const invalidEmphasizeTopic = 'Expected `emphasizeTopic` argument to be a boolean.';
+const invalidEmphasizeBy = 'Expected `emphasizeBy` argument to be a positive number.';
+const invalidTierWeightMin = 'Expected `tierWeightMin` argument to be an integer greater than 0.';
+const invalidTierWeightMax = 'Expected `tierWeightMax` argument to be an integer greater than or equal to `tierWeightMin` (or -1 to disable it).';
+const invalidMergePosteriorTiersAt = 'Expected `mergePosteriorTiersAt` argument to be an integer greater than 0 (or -1 to disable it).';
+//
+const invalidExpand = expandOptionsList => `Expected \`expand\` argument to be one of: ${expandOptionsList.join(', ')}.`;
+const invalidDepth = max => `Expected \`depth\` argument to be an integer between 1 and ${max}.`;
+const invalidExpandInput = 'Expected `input` argument to be a Wikipedia query string when `expand` is used.';
+const invalidOnDisambiguation = onDisambiguationOptionsList => `Expected \`onDisambiguation\` argument to be one of: ${onDisambiguationOptionsList.join(', ')}.`;
+const invalidAutocorrect = 'Expected `autocorrect` argument to be a boolean.';
+const invalidSourcesList = sourcesList => `Expected a non-empty list of sources, each one being one of: ${sourcesList.join(', ')}.`;
+const invalidSource = sourcesList => `Expected \`source\` argument to be one of: ${sourcesList.join(', ')}.`;
+//
+const invalidSeed = 'Expected `seed` argument to be a non-empty string or an integer.';
+
+const invalidPunctuation = presetsList => `Expected \`punctuation\` argument to be one of: ${presetsList.join(', ')} or an object (\`{ preset, end, mid, midProbability }\`).`;
+const invalidPunctuationPreset = presetsList => `Expected \`punctuation.preset\` argument to be one of: ${presetsList.join(', ')}.`;
+const invalidPunctuationEnd = "Expected `punctuation.end` argument to be a weight map containing at least one mark (e.g. `{ 16: ['.'], 1: ['?'] }`).";
+const invalidPunctuationMid = "Expected `punctuation.mid` argument to be a weight map (e.g. `{ 8: [','], 2: ['()'] }`) whose enclosing marks have an even length.";
+const invalidPunctuationMidProbability = 'Expected `punctuation.midProbability` argument to be a number between 0 and 1.';
+
+const invalidAnalyzedText = 'Expected `text` argument to be a string containing at least one word.';
+
+const invalidCorpusId = 'Expected corpus `id` to contain only letters, numbers, hyphens and underscores (at most 64 characters).';
+const corpusNotFound = id => `Corpus \`${id}\` doesn't exist. Try again using a different \`corpus\` or create it first.`;
+const corpusAlreadyExists = id => `Corpus \`${id}\` already exists. Try again using a different \`id\` or delete it first.`;
+const charactersUnreachable = characters => `Couldn't fit words into exactly ${characters} characters. Try again using a bigger \`quantity\` or a richer input.`;
+const randomArticleNotFound = "Couldn't find a random article that isn't a disambiguation page. Try again.";
+const featuredArticleNotFound = "Wikipedia doesn't have a featured article for today in this language. Try again using a different `language`.";
+const documentNotFound = sourceName => `Source \`${sourceName}\` doesn't have a document matching this query. Try again using a different query.`;
+const articleNotFound = suggestions => `Wikipedia does not have an article with this exact title. Try again using a different query.${suggestions.length > 0 ? ` Did you mean:\n- ${suggestions.join('\n- ')}?` : ''}`;
+const articleIsDisambiguation = suggestions => `This query points to a Wikipedia disambiguation page. You've got to be more specific.${suggestions.length > 0 ? ` Query suggestions:\n- ${suggestions.join('\n- ')}.` : ` No query suggestions were found.`}`;
+const wikipediaUnreachable = 'Wikipedia API could not be reached or returned an unexpected response. Try again later.';
 const notEnoughWordsInWordsArray = (minimum, received) => `Given \`text\` doesn't have enough keywords to construct \`wordsArray\` containing the minimum quantity of words required. Minimum number of words required: ${minimum}. Number of words received: ${received}.`;
 const notEnoughWordsInFreqMap = (minimum, received) => `Given \`wordsArray\` doesn't have enough words to construct \`freqMap\` containing the minimum quantity of words required. Minimum number of words required: ${minimum}. Number of words received: ${received}.`;
 
@@ -66,33 +124,37 @@ const notEnoughWordsInFreqMap = (minimum, received) => `Given \`wordsArray\` doe
  * Every freqMap's word in `wordsToEmphasize` will have their weight multiplied by `emphasizeBy`.
  */
 function emphasize(freqMapWordAsKey, wordsToEmphasize, emphasizeBy) {
-  return wordsToEmphasize.reduce((freqMap, word) => freqMap[word] === undefined ? freqMap : {
-    ...freqMap,
-    [word]: Math.round(freqMap[word] * emphasizeBy)
-  }, freqMapWordAsKey);
+  // copied once and then mutated, spreading it for every word would be quadratic
+  const freqMap = {
+    ...freqMapWordAsKey
+  };
+  wordsToEmphasize.forEach(word => {
+    if (Object.prototype.hasOwnProperty.call(freqMap, word)) freqMap[word] = Math.round(freqMap[word] * emphasizeBy);
+  });
+  return freqMap;
 }
 
 /** **freqMapWeightAsKey** example: `{ 1: ['foo', 'bar'], 3: ['baz'] }` */
 function generateFreqMapWeightAsKey(freqMapWordAsKey) {
-  return Object.keys(freqMapWordAsKey).reduce((freqMap, word) => {
+  const tiers = new Map();
+  Object.keys(freqMapWordAsKey).forEach(word => {
     const weight = freqMapWordAsKey[word];
-    return {
-      ...freqMap,
-      [weight]: (freqMap[weight] || []).concat(word)
-    };
-  }, {});
+    if (!tiers.has(weight)) tiers.set(weight, []);
+    tiers.get(weight).push(word);
+  });
+  // integer keys are ordered ascending, regardless of insertion order
+  return Object.fromEntries(tiers);
 }
 
 /** **freqMapWordAsKey** example: `{ foo: 1, bar: 3 }` */
 function generateFreqMapWordAsKey(wordsArray) {
-  return wordsArray.reduce((freqMap, word) => ({
-    ...freqMap,
-    // using hasOwnProperty instead of check if undefined, otherwise
-    // if `word` is a built-in object property (e.g. `constructor`)
-    // would append 1 to this property (which would results in `NaN`)
-    // instead of creating a new property
-    [word]: Object.prototype.hasOwnProperty.call(freqMap, word) ? freqMap[word] + 1 : 1
-  }), {});
+  // a `Map` (instead of an object) isn't affected by words which are
+  // built-in object properties (e.g. `constructor`)
+  const counts = new Map();
+  wordsArray.forEach(word => {
+    counts.set(word, (counts.get(word) ?? 0) + 1);
+  });
+  return Object.fromEntries(counts);
 }
 
 function getFreqMapWordsQuantity(freqMap) {
@@ -102,30 +164,29 @@ function getFreqMapWordsQuantity(freqMap) {
 
 /** If required by `options`, reduce the quantity of tiers in `freqMap`. */
 function shortenFreqMap(freqMap, tierWeightMin, tierWeightMax, mergePosteriorTiersAt) {
-  return Object.entries(freqMap).reduce((shortened, entry) => {
-    const weight = Number(entry[0]);
-    const tier = entry[1];
+  const shortened = {};
+  const merged = [];
+  // entries are ordered by weight (ascending), so merged tiers keep their order
+  Object.entries(freqMap).forEach(([weightKey, tier]) => {
+    const weight = Number(weightKey);
     // if current weight is less than min or more than max, filter out current tier
     if (weight < tierWeightMin || tierWeightMax !== -1 &&
     // -1 would indicate that `tierWeightMax` functionality is disabled
     weight > tierWeightMax) {
-      return shortened;
+      return;
     }
-    // if current weight is more than mergePosteriorTiersAt
+    // if current weight is equal to or more than mergePosteriorTiersAt
     // merge current tier into mergePosteriorTiersAt tier
     if (mergePosteriorTiersAt !== -1 &&
     // -1 would indicate that `mergePosteriorTiersAt` functionality is disabled
-    weight > mergePosteriorTiersAt) {
-      return {
-        ...shortened,
-        [mergePosteriorTiersAt]: (shortened[mergePosteriorTiersAt] || []).concat(freqMap[weight])
-      };
+    weight >= mergePosteriorTiersAt) {
+      tier.forEach(word => merged.push(word));
+      return;
     }
-    return {
-      ...shortened,
-      [weight]: tier
-    };
-  }, {});
+    shortened[weight] = tier;
+  });
+  if (merged.length > 0) shortened[mergePosteriorTiersAt] = merged;
+  return shortened;
 }
 
 const optionsDefault$1 = {
@@ -136,26 +197,37 @@ const optionsDefault$1 = {
   mergePosteriorTiersAt: -1 // disable option
 };
 /**
- * Generate `freqMap` from `wordsArray`.
- * @param wordsArray
- * @param wordsToEmphasize Subset of `wordsArray` to emphasize.
+ * Generate `freqMap` from `freqMapWordAsKey` (i.e. words already counted).
+ * @param freqMapWordAsKeyArg
+ * @param wordsToEmphasize Subset of `freqMapWordAsKeyArg` words to emphasize.
  * @param optionsArg Miscellaneous options. See more at {@link optionsType}.
  * @throws Error if `freqMap` has less words than expected.
  * @returns freqMap.
  */
-function generateFreqMap(wordsArray, wordsToEmphasize, optionsArg) {
+function generateFreqMapFromWordAsKey(freqMapWordAsKeyArg, wordsToEmphasize, optionsArg) {
   const options = {
     ...optionsDefault$1,
     ...optionsArg
   };
-  const freqMapWordAsKey = emphasize(generateFreqMapWordAsKey(wordsArray), wordsToEmphasize || [], options.emphasizeBy);
+  const freqMapWordAsKey = emphasize(freqMapWordAsKeyArg, wordsToEmphasize || [], options.emphasizeBy);
   const freqMap = shortenFreqMap(generateFreqMapWeightAsKey(freqMapWordAsKey), options.tierWeightMin, options.tierWeightMax, options.mergePosteriorTiersAt);
   const freqMapWordsQuantity = getFreqMapWordsQuantity(freqMap);
   if (freqMapWordsQuantity < options.wordsQuantityMin) {
-    throw new CustomError(notEnoughWordsInFreqMap(options.wordsQuantityMin, freqMapWordsQuantity), 'generate-words-freqmap');
+    throw new CustomError(notEnoughWordsInFreqMap(options.wordsQuantityMin, freqMapWordsQuantity), 'generate-words-freqmap', 'not-enough-words-in-freq-map');
   }
   return freqMap;
 }
+/**
+ * Generate `freqMap` from `wordsArray`.
+ * @param wordsArray
+ * @param wordsToEmphasize Subset of `wordsArray` to emphasize.
+ * @param optionsArg Miscellaneous options. See more at {@link optionsType}.
+ * @throws Error if `freqMap` has less words than expected.
+ * @returns freqMap.
+ */
+function generateFreqMap(wordsArray, wordsToEmphasize, optionsArg) {
+  return generateFreqMapFromWordAsKey(generateFreqMapWordAsKey(wordsArray), wordsToEmphasize, optionsArg);
+}
 
 /**
  * Summary is the initial chunk of text, everything before the first subtitle.
@@ -175,25 +247,427 @@ function extractSummaryFromBody(body, format) {
   return summary;
 }
 
+const cacheOptionsDefault = {
+  ttl: 60 * 60 * 1000,
+  // 1 hour, in milliseconds
+  max: 500 // memory store only, least recently used entries are evicted above this
+};
+/** In-memory least recently used cache, the default store. */
+class LRUCache {
+  constructor(optionsArg) {
+    this.options = {
+      ...cacheOptionsDefault,
+      ...optionsArg
+    };
+    // `Map` keeps insertion order, so its first key is always the least recently used
+    this.entries = new Map();
+  }
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry === undefined) return undefined;
+    this.entries.delete(key);
+    if (entry.expires < Date.now()) return undefined;
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expires: Date.now() + this.options.ttl
+    });
+    if (this.entries.size > this.options.max) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+/**
+ * On-disk cache, every entry is a json file inside `options.directory`.
+ * Node.js modules are imported lazily, so this library still loads in browsers.
+ */
+class FileCache {
+  constructor(optionsArg) {
+    this.options = {
+      ...cacheOptionsDefault,
+      directory: '.fullfiller-cache',
+      ...optionsArg
+    };
+  }
+  async getFilePath(key) {
+    const {
+      createHash
+    } = await import('node:crypto');
+    const {
+      join
+    } = await import('node:path');
+    return join(this.options.directory, `${createHash('sha1').update(key).digest('hex')}.json`);
+  }
+  async get(key) {
+    const {
+      readFile,
+      unlink
+    } = await import('node:fs/promises');
+    const filePath = await this.getFilePath(key);
+    let entry;
+    try {
+      entry = JSON.parse(await readFile(filePath, 'utf8'));
+    } catch {
+      return undefined; // missing or corrupted entry
+    }
+    if (entry.expires < Date.now()) {
+      // otherwise expired entries would pile up until their key is set again
+      await unlink(filePath).catch(() => {});
+      return undefined;
+    }
+    return entry.value;
+  }
+  async set(key, value) {
+    const {
+      mkdir,
+      writeFile
+    } = await import('node:fs/promises');
+    await mkdir(this.options.directory, {
+      recursive: true
+    });
+    await writeFile(await this.getFilePath(key), JSON.stringify({
+      value,
+      expires: Date.now() + this.options.ttl
+    }));
+  }
+}
+// any object implementing `get(key)` and `set(key, value)` (sync or async) can be used as store
+let cache = new LRUCache();
+function setCache(store) {
+  cache = store;
+}
+/**
+ * Return cached value of `key` or, if there's none, compute it with `fn` and cache it.
+ * Nothing is cached if `fn` throws.
+ */
+async function memoize(key, fn) {
+  const cached = await cache.get(key);
+  if (cached !== undefined) return cached;
+  const value = await fn();
+  await cache.set(key, value);
+  return value;
+}
+
+/** In-memory corpus profiles store, the default one (profiles are lost on restart). */
+class MemoryCorpusStore {
+  constructor() {
+    this.profiles = new Map();
+  }
+  get(id) {
+    return this.profiles.get(id);
+  }
+  // stores the profile only if id is free, returning whether it did
+  insert(id, profile) {
+    if (this.profiles.has(id)) return false;
+    this.profiles.set(id, profile);
+    return true;
+  }
+  delete(id) {
+    return this.profiles.delete(id);
+  }
+  list() {
+    return [...this.profiles.values()];
+  }
+}
+/**
+ * Every corpus profile is kept, by id, in a single json file at `options.path`,
+ * so it can be shared between processes or committed along with a project.
+ * File is read on every operation (it may be edited by others) and replaced atomically on writes.
+ * Writes hold a lock file (`<path>.lock`), so concurrent ones, from any process, don't overwrite each other.
+ */
+class JSONFileCorpusStore {
+  constructor(optionsArg) {
+    this.options = {
+      path: '.fullfiller-corpora.json',
+      // lock older than this was left behind by a crashed process
+      lockStale: 10 * 1000,
+      // waiting for a lock longer than this fails the write
+      lockTimeout: 5 * 1000,
+      ...optionsArg
+    };
+    // writes of this process are queued, so they don't wait for each other's lock
+    this.writing = Promise.resolve();
+  }
+  async read() {
+    const {
+      readFile
+    } = await import('node:fs/promises');
+    // no prototype, so an id such as `__proto__` is stored as an entry like any other
+    const profiles = Object.create(null);
+    try {
+      return Object.assign(profiles, JSON.parse(await readFile(this.options.path, 'utf8')));
+    } catch (err) {
+      if (err.code === 'ENOENT') return profiles;
+      throw err;
+    }
+  }
+  async lock() {
+    const {
+      open,
+      stat,
+      unlink
+    } = await import('node:fs/promises');
+    const lockPath = `${this.options.path}.lock`;
+    const startedAt = Date.now();
+    for (;;) {
+      try {
+        // `wx` fails if file already exists
+        await (await open(lockPath, 'wx')).close();
+        return () => unlink(lockPath);
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+      const lockedAt = await stat(lockPath).then(({
+        mtimeMs
+      }) => mtimeMs, () => Date.now());
+      if (Date.now() - lockedAt > this.options.lockStale) {
+        await unlink(lockPath).catch(() => {});
+      } else if (Date.now() - startedAt > this.options.lockTimeout) {
+        throw new Error(`Couldn't lock \`${this.options.path}\`, \`${lockPath}\` is held by another process.`);
+      } else {
+        await new Promise(resolve => {
+          setTimeout(resolve, 50);
+        });
+      }
+    }
+  }
+  async write(update) {
+    const {
+      mkdir,
+      rename,
+      writeFile
+    } = await import('node:fs/promises');
+    const {
+      dirname
+    } = await import('node:path');
+    const result = this.writing.then(async () => {
+      await mkdir(dirname(this.options.path), {
+        recursive: true
+      });
+      const unlock = await this.lock();
+      try {
+        // file is read after locking, so changes made by other processes meanwhile are kept
+        const profiles = await this.read();
+        const returned = update(profiles);
+        const temporaryPath = `${this.options.path}.${process.pid}.tmp`;
+        await writeFile(temporaryPath, JSON.stringify(profiles, null, 2));
+        await rename(temporaryPath, this.options.path);
+        return returned;
+      } finally {
+        await unlock();
+      }
+    });
+    this.writing = result.catch(() => {});
+    return result;
+  }
+  async get(id) {
+    const profiles = await this.read();
+    return Object.prototype.hasOwnProperty.call(profiles, id) ? profiles[id] : undefined;
+  }
+  // id is checked under the lock, so two processes can't both insert the same one
+  async insert(id, profile) {
+    return this.write(profiles => {
+      if (Object.prototype.hasOwnProperty.call(profiles, id)) return false;
+      profiles[id] = profile;
+      return true;
+    });
+  }
+  async delete(id) {
+    return this.write(profiles => {
+      if (!Object.prototype.hasOwnProperty.call(profiles, id)) return false;
+      delete profiles[id];
+      return true;
+    });
+  }
+  async list() {
+    return Object.values(await this.read());
+  }
+}
+// any object implementing `get(id)`, `insert(id, profile)`, `delete(id)` & `list()` (sync or async) can be used as store
+let corpusStore = new MemoryCorpusStore();
+function setCorpusStore(store) {
+  corpusStore = store;
+}
+
+// sections which only contain references to other resources
+const sectionsToIgnore = ['See also', 'References', 'External links', 'Notes', 'Further reading', 'Bibliography', 'Sources', 'Citations', 'Footnotes'];
+/**
+ * Plaintext bodies mark sections with `== Title ==` (level 2) and `=== Title ===` (level 3).
+ * HTML bodies mark them with `<h2>` and `<h3>` tags.
+ *
+ * @summary Extract sections titles (level 2 and 3 only) from article body.
+ * @param body Wikipedia article body.
+ * @param format Article format.
+ * @returns Array of objects containing `level` and `title`.
+ */
+function extractSectionsFromBody(body, format) {
+  const plaintextRE = /^(={2,3})\s*(.+?)\s*\1\s*$/gm;
+  const htmlRE = /<h([23])[^>]*>([\s\S]*?)<\/h\1>/g;
+  const sections = format === 'plain' ? [...body.matchAll(plaintextRE)].map(([, equals, title]) => ({
+    level: equals.length,
+    title
+  })) : [...body.matchAll(htmlRE)].map(([, level, title]) => ({
+    level: Number(level),
+    title: title.replace(/<[^>]*>/g, '').trim()
+  }));
+  return sections.filter(({
+    title
+  }) => title !== '' && !sectionsToIgnore.includes(title));
+}
+
 /**
  * Join Wikipedia API base URL and `queries`.
  * @param queries Object to be converted to query string.
+ * @param language Wikipedia language edition (i.e. subdomain).
  * @returns URL to make API call.
  */
-function generateRequestURL(queries) {
-  const baseAPI = `https://en.wikipedia.org/w/api.php?&format=json&origin=*&`;
+function generateRequestURL(queries, language = 'en') {
+  const baseAPI = `https://${language}.wikipedia.org/w/api.php?&format=json&origin=*&`;
   const queryString = Object.entries(queries).map(([key, value]) => value === undefined ? key : `${key}=${value.toString()}`).join('&');
   const requestURL = baseAPI + queryString;
   return requestURL;
 }
+/** Sort and decode query string parameters, so equivalent URLs share the same cache key. */
+function normalizeRequestURL(url) {
+  const {
+    origin,
+    pathname,
+    searchParams
+  } = new URL(url);
+  searchParams.sort();
+  return `${origin}${pathname}?${decodeURIComponent(searchParams.toString())}`;
+}
+/**
+ * Fetch `url` and parse its body as json. Responses are cached by normalized URL.
+ * @throws Error if request fails, response status isn't 2xx or body isn't json.
+ */
+async function fetchJSON(url) {
+  return memoize(`url:${normalizeRequestURL(url)}`, () => fetchJSONUncached(url));
+}
+
+const clientOptionsDefault = {
+  // per attempt, in milliseconds
+  timeout: 10 * 1000,
+  // attempts after the first one, only when rate limited (429), on server errors (5xx) or network failures
+  retries: 2,
+  // doubled at every retry, unless response has `Retry-After`
+  retryDelay: 500,
+  retryDelayMax: 10 * 1000,
+  // consecutive failed requests which open the circuit breaker
+  breakerThreshold: 5,
+  // while circuit breaker is open, requests fail immediately
+  breakerCooldown: 30 * 1000,
+  // https://meta.wikimedia.org/wiki/User-Agent_policy
+  userAgent: 'fullfiller/1.0 (https://github.com/gusalbukrk/fullfiller-api)'
+};
+let clientOptions = clientOptionsDefault;
+function configureClient(optionsArg) {
+  clientOptions = {
+    ...clientOptionsDefault,
+    ...optionsArg
+  };
+}
+const breaker = {
+  failures: 0,
+  openedAt: undefined,
+  // after cooldown (half-open), a single trial request is let through
+  trialInProgress: false
+};
+class RetryableError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.retryAfter = retryAfter;
+  }
+}
+// `Retry-After` is either a quantity of seconds or a date
+function parseRetryAfter(header) {
+  if (header === null) return undefined;
+  const milliseconds = /^\d+$/.test(header) ? Number(header) * 1000 : Date.parse(header) - Date.now();
+  return Number.isNaN(milliseconds) ? undefined : Math.max(0, milliseconds);
+}
+async function fetchAttempt(url) {
+  let resp;
+  try {
+    resp = await fetch(url, {
+      headers: {
+        'User-Agent': clientOptions.userAgent
+      },
+      signal: AbortSignal.timeout(clientOptions.timeout)
+    });
+  } catch (error) {
+    // network failure or timeout
+    throw new RetryableError(error.message);
+  }
+  if (resp.status === 429 || resp.status >= 500) {
+    throw new RetryableError(`Unexpected response status: ${resp.status}.`, parseRetryAfter(resp.headers.get('Retry-After')));
+  }
+  if (!resp.ok) throw new Error(`Unexpected response status: ${resp.status}.`);
+  return resp.json();
+}
+async function fetchWithRetries(url) {
+  for (let attempt = 0;; attempt += 1) {
+    try {
+      return await fetchAttempt(url);
+    } catch (error) {
+      if (!(error instanceof RetryableError) || attempt >= clientOptions.retries) throw error;
+      const delay = Math.min(error.retryAfter ?? clientOptions.retryDelay * 2 ** attempt, clientOptions.retryDelayMax);
+      await new Promise(resolve => {
+        setTimeout(resolve, delay);
+      });
+    }
+  }
+}
+async function fetchJSONUncached(url) {
+  const isOpen = breaker.openedAt !== undefined;
+  if (isOpen && (Date.now() - breaker.openedAt < clientOptions.breakerCooldown || breaker.trialInProgress)) {
+    throw new CustomError(wikipediaUnreachable, 'get-wikipedia-article', 'upstream-fetch-failed', {
+      cause: 'Circuit breaker is open.'
+    });
+  }
+  if (isOpen) breaker.trialInProgress = true;
+  try {
+    const json = await fetchWithRetries(url);
+    breaker.failures = 0;
+    breaker.openedAt = undefined;
+    return json;
+  } catch (error) {
+    // only failures of Wikipedia itself (network, timeout, 429, 5xx) count,
+    // not the ones caused by a request (e.g. 4xx) or a malformed response
+    if (error instanceof RetryableError) {
+      breaker.failures += 1;
+      // a failed trial request opens it again
+      if (breaker.failures >= clientOptions.breakerThreshold || isOpen) breaker.openedAt = Date.now();
+    } else if (isOpen) {
+      // Wikipedia answered the trial request, so it's reachable
+      breaker.failures = 0;
+      breaker.openedAt = undefined;
+    }
+    throw new CustomError(wikipediaUnreachable, 'get-wikipedia-article', 'upstream-fetch-failed', {
+      cause: error.message
+    });
+  } finally {
+    if (isOpen) breaker.trialInProgress = false;
+  }
+}
 /**
  * @summary Fetch response from Wikipedia API.
  * @param queries Object containing query string parameters.
+ * @param language Wikipedia language edition.
  * @returns Object containing json.query.pages[pageID] and json.continue (if it exists) contents.
  */
-async function fetchResource(queries) {
-  const url = generateRequestURL(queries);
-  const json = await (await fetch(url)).json();
+async function fetchResource(queries, language) {
+  const url = generateRequestURL(queries, language);
+  const json = await fetchJSON(url);
+  // e.g. `{ error: { code: 'badvalue', ... } }`
+  if (json.query?.pages === undefined) {
+    throw new CustomError(wikipediaUnreachable, 'get-wikipedia-article', 'upstream-fetch-failed', {
+      cause: json.error?.info ?? 'Response lacks `query.pages`.'
+    });
+  }
   // API's response isn't returned in its entirety by this function.
   // That's because the main part of the response is nested 3 layers deep.
   // As shown in the `response` interface.
@@ -213,10 +687,10 @@ async function fetchResource(queries) {
  * Fetch Wikipedia article body.
  * @param title Wikipedia article title.
  * @param format Which one of the 2 formats available in the Wikipedia API.
- * @param related Wikipedia related articles titles (to recommend in case of error).
+ * @param language Wikipedia language edition.
  * @returns Wikipedia article body.
  */
-async function getArticleBody(title, format) {
+async function getArticleBody(title, format, language) {
   const queries = {
     action: 'query',
     prop: 'extracts',
@@ -226,7 +700,7 @@ async function getArticleBody(title, format) {
     redirects: undefined,
     titles: encodeURIComponent(title)
   };
-  const resp = await fetchResource(queries);
+  const resp = await fetchResource(queries, language);
   const body = resp.extract;
   return body;
 }
@@ -234,9 +708,10 @@ async function getArticleBody(title, format) {
 /**
  * Fetch all Wikipedia categories the given article belongs to.
  * @param title Wikipedia article title.
+ * @param language Wikipedia language edition.
  * @returns Array of Wikipedia categories names.
  */
-async function getArticleCategories(title) {
+async function getArticleCategories(title, language) {
   const queries = {
     action: 'query',
     prop: 'categories',
@@ -249,25 +724,30 @@ async function getArticleCategories(title) {
   // even the articles containing the most categories don't have more than 500 categories
   // (https://en.wikipedia.org/wiki/Special:MostCategories);
   // request below will fetch at most 500 normal (not hidden) categories
-  const resp = await fetchResource(queries);
-  const categories = resp.categories.map(obj => obj.title.replace(/^Category:/, ''));
+  const resp = await fetchResource(queries, language);
+  // namespace prefix is localized (e.g. `Category:`, `Kategorie:`)
+  // uncategorized articles lack `categories`
+  const categories = (resp.categories ?? []).map(obj => obj.title.replace(/^[^:]+:/, ''));
   return categories;
 }
 
-async function getLinksRecursively(queries) {
-  const resp = await fetchResource(queries);
-  const links = resp.links.map(obj => obj.title);
-  return !('plcontinue' in resp) ? links : links.concat(await getLinksRecursively({
+async function getLinksRecursively(queries, language, pagesMax) {
+  const resp = await fetchResource(queries, language);
+  // articles without links lack `links`
+  const links = (resp.links ?? []).map(obj => obj.title);
+  return !('plcontinue' in resp) || pagesMax <= 1 ? links : links.concat(await getLinksRecursively({
     ...queries,
     plcontinue: encodeURIComponent(resp.plcontinue)
-  }));
+  }, language, pagesMax - 1));
 }
 /**
  * Fetch all Wikipedia articles that are linked in the given article.
  * @param title Wikipedia article title.
+ * @param language Wikipedia language edition.
+ * @param pagesMax Maximum quantity of requests (up to 500 links each).
  * @returns Array of Wikipedia articles titles.
  */
-async function getArticleLinks(title) {
+async function getArticleLinks(title, language, pagesMax = Infinity) {
   const queries = {
     action: 'query',
     prop: 'links',
@@ -276,18 +756,38 @@ async function getArticleLinks(title) {
     plnamespace: '0',
     titles: encodeURIComponent(title)
   };
-  const links = await getLinksRecursively(queries);
+  const links = await getLinksRecursively(queries, language, pagesMax);
   return links;
 }
 
+/**
+ * Fetch articles that belong to a Wikipedia category.
+ * @param category Category title, without namespace prefix.
+ * @param limit Maximum quantity of articles to fetch.
+ * @param language Wikipedia language edition.
+ * @returns Array of Wikipedia articles titles.
+ */
+async function getCategoryArticles(category, limit, language) {
+  const requestURL = generateRequestURL({
+    action: 'query',
+    list: 'categorymembers',
+    // canonical namespace name (`Category:`) works in every language edition
+    cmtitle: encodeURIComponent(`Category:${category}`),
+    cmnamespace: '0',
+    cmlimit: limit
+  }, language);
+  const json = await fetchJSON(requestURL);
+  return (json.query?.categorymembers ?? []).map(obj => obj.title);
+}
+
 /**
  * Fetch Wikipedia article summary.
  * @param title Wikipedia article title.
  * @param format Which one of the 2 formats available in the Wikipedia API.
- * @param related Wikipedia related articles titles (to recommend in case of error).
+ * @param language Wikipedia language edition.
  * @returns Wikipedia article body.
  */
-async function getArticleSummary(title, format) {
+async function getArticleSummary(title, format, language) {
   const queries = {
     action: 'query',
     prop: 'extracts',
@@ -298,7 +798,7 @@ async function getArticleSummary(title, format) {
     }),
     titles: encodeURIComponent(title)
   };
-  const resp = await fetchResource(queries);
+  const resp = await fetchResource(queries, language);
   const summary = resp.extract;
   return summary;
 }
@@ -307,18 +807,19 @@ async function getArticleSummary(title, format) {
  * Fetch Wikipedia article terms.
  * @param title Wikipedia article title.
  * @param include Which terms to fetch (alias, description and/or label).
- * @returns Array of Wikipedia article terms.
+ * @param language Wikipedia language edition, terms will be in the same language.
+ * @returns Object containing an array per term found (missing terms are omitted).
  */
-async function getArticleTerms(title, include) {
+async function getArticleTerms(title, include, language = 'en') {
   const queries = {
     action: 'query',
     prop: 'pageterms',
     redirects: undefined,
-    wbptlanguage: 'en',
+    wbptlanguage: language,
     wbptterms: include.join('|'),
     titles: encodeURIComponent(title)
   };
-  const resp = await fetchResource(queries);
+  const resp = await fetchResource(queries, language);
   const {
     terms
   } = resp;
@@ -330,17 +831,49 @@ async function getArticleTerms(title, include) {
   //     )}. Fetched: ${print(Object.keys(terms))}.`
   //   );
   // }
-  return terms;
+  // pages without Wikidata item have no terms at all
+  return terms ?? {};
+}
+
+/**
+ * Fetch alternatives to a query without results (e.g. because of a typo):
+ * the search engine's spelling suggestion first, then titles found by full-text and fuzzy search.
+ * @param query Search string.
+ * @param language Wikipedia language edition.
+ * @returns Array of at most 5 queries/titles.
+ */
+async function getSearchSuggestions(query, language) {
+  const search = async srsearch => (await fetchJSON(generateRequestURL({
+    action: 'query',
+    list: 'search',
+    srinfo: 'suggestion',
+    srprop: '',
+    srlimit: 5,
+    srnamespace: '0',
+    srsearch: encodeURIComponent(srsearch)
+  }, language))).query ?? {};
+  const {
+    searchinfo,
+    search: results = []
+  } = await search(query);
+  // `~` makes every word match similar spellings
+  const fuzzyResults = results.length > 0 ? [] : (await search(query.split(/\s+/).filter(word => word !== '').map(word => `${word}~`).join(' '))).search ?? [];
+  const suggestions = [searchinfo?.suggestion, ...[...results, ...fuzzyResults].map(({
+    title
+  }) => title)].filter(suggestion => suggestion !== undefined);
+  // spelling suggestion may differ from a title only by case
+  return suggestions.filter((suggestion, i) => suggestions.findIndex(other => other.toLowerCase() === suggestion.toLowerCase()) === i).slice(0, 5);
 }
 
 /**
  * Fetch Wikipedia article(s) title(s) that match query.
  * @param query Search string.
  * @param single Fetch only a single result.
- * @throws Error if no results were found.
+ * @param language Wikipedia language edition.
+ * @throws Error if no results were found, containing `suggestions` (see `getSearchSuggestions`).
  * @returns Array of title(s).
  */
-async function getMatchingArticlesTitles(query, single = false) {
+async function getMatchingArticlesTitles(query, single = false, language = 'en') {
   const requestURL = generateRequestURL({
     action: 'opensearch',
     limit: single ? 1 : 'max',
@@ -350,15 +883,24 @@ async function getMatchingArticlesTitles(query, single = false) {
     // which is the redirect for `The Lord of the Rings`
     redirects: 'resolve',
     search: encodeURIComponent(query)
-  });
-  const resp = await fetch(requestURL);
-  const json = await resp.json();
+  }, language);
+  const json = await fetchJSON(requestURL);
+  if (!Array.isArray(json[1])) {
+    throw new CustomError(wikipediaUnreachable, 'get-wikipedia-article', 'upstream-fetch-failed', {
+      cause: json.error?.info ?? 'Response lacks titles.'
+    });
+  }
   const titles = json[1];
-  if (titles.length === 0) throw new CustomError(articleNotFound, 'get-wikipedia-article');
+  if (titles.length === 0) {
+    const suggestions = await getSearchSuggestions(query, language);
+    throw new CustomError(articleNotFound(suggestions), 'get-wikipedia-article', 'article-not-found', {
+      suggestions
+    });
+  }
   return titles;
 }
 
-async function queryPointsToADisambiguationPage(title) {
+async function queryPointsToADisambiguationPage(title, language) {
   const queries = {
     action: 'query',
     prop: 'pageprops',
@@ -366,37 +908,165 @@ async function queryPointsToADisambiguationPage(title) {
     redirects: undefined,
     titles: encodeURIComponent(title)
   };
-  const resp = await fetchResource(queries);
+  const resp = await fetchResource(queries, language);
   const pointsToDisambiguation = resp.pageprops?.disambiguation !== undefined;
   return pointsToDisambiguation;
 }
 
+/**
+ * Fetch the title of a random article (namespace 0) which isn't a disambiguation page.
+ * Isn't cached, otherwise every call would return the same article.
+ * @param language Wikipedia language edition.
+ * @throws Error if every article returned is a disambiguation page.
+ * @returns Wikipedia article title.
+ */
+async function getRandomArticleTitle(language) {
+  // `generator=random` works as `list=random`, but allows to fetch pages' props in the same request
+  const requestURL = generateRequestURL({
+    action: 'query',
+    generator: 'random',
+    grnnamespace: '0',
+    grnlimit: 10,
+    prop: 'pageprops',
+    ppprop: 'disambiguation'
+  }, language);
+  const json = await fetchJSONUncached(requestURL);
+  const page = Object.values(json.query?.pages ?? {}).find(({
+    pageprops
+  }) => pageprops?.disambiguation === undefined);
+  if (page === undefined) throw new CustomError(randomArticleNotFound, 'get-wikipedia-article', 'article-not-found');
+  return page.title;
+}
+
+/**
+ * Fetch the title of today's featured article from the featured content feed.
+ * @param language Wikipedia language edition, not every edition has featured articles.
+ * @throws Error if there's no featured article for today.
+ * @returns Wikipedia article title.
+ */
+async function getFeaturedArticleTitle(language) {
+  // feed is daily, so it's cached by date (UTC)
+  const date = new Date().toISOString().slice(0, 10).replaceAll('-', '/');
+  const json = await fetchJSON(`https://${language}.wikipedia.org/api/rest_v1/feed/featured/${date}`);
+  const title = json.tfa?.titles?.normalized ?? json.tfa?.title?.replaceAll('_', ' ');
+  if (title === undefined) throw new CustomError(featuredArticleNotFound, 'get-wikipedia-article', 'article-not-found');
+  return title;
+}
+
+// queries that are resolved to an article title, instead of searched
+const specialQueries = {
+  ':random': getRandomArticleTitle,
+  ':featured': getFeaturedArticleTitle
+};
+function isSpecialQuery(query) {
+  return query.startsWith(':');
+}
+/** Resolve special queries (e.g. `:random`) to an actual article title, other queries are returned as is. */
+async function resolveQuery(query, language) {
+  return isSpecialQuery(query) ? specialQueries[query](language) : query;
+}
+
+// Sørensen–Dice coefficient of strings' bigrams, from 0 (nothing in common) to 1 (equal)
+function getSimilarity(a, b) {
+  const bigrams = str => {
+    const normalized = str.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    return Array.from({
+      length: Math.max(normalized.length - 1, 0)
+    }, (_, i) => normalized.slice(i, i + 2));
+  };
+  const bigramsA = bigrams(a);
+  const bigramsB = bigrams(b);
+  if (bigramsA.length + bigramsB.length === 0) return 0;
+  const remaining = [...bigramsB];
+  const shared = bigramsA.filter(bigram => {
+    const i = remaining.indexOf(bigram);
+    if (i === -1) return false;
+    remaining.splice(i, 1);
+    return true;
+  }).length;
+  return 2 * shared / (bigramsA.length + bigramsB.length);
+}
+
+const onDisambiguationOptions = ['error', 'first', 'best'];
+const disambiguationAttemptsMax = 3; // candidates tried at most if they're disambiguation pages too
+/**
+ * Rank articles linked by a disambiguation page.
+ * - `first`: in the order they're listed in the page
+ * - `best`: by similarity of their titles to `query` (ties keep page order)
+ * @returns Array of Wikipedia articles titles.
+ */
+async function rankDisambiguationLinks(pageTitle, query, onDisambiguation, language) {
+  const [links, body] = await Promise.all([getArticleLinks(pageTitle, language), getArticleBody(pageTitle, 'plain', language)]);
+  // links are sorted alphabetically by the API, their first mention in body gives the page order
+  const bodyLowercase = body.toLowerCase();
+  const getPosition = link => {
+    const i = bodyLowercase.indexOf(link.toLowerCase());
+    return i === -1 ? body.length : i;
+  };
+  return links.filter(link => !/disambiguation/i.test(link)).map(link => ({
+    link,
+    position: getPosition(link),
+    similarity: onDisambiguation === 'best' ? getSimilarity(query, link) : 0
+  })).sort((a, b) => b.similarity - a.similarity || a.position - b.position).map(({
+    link
+  }) => link);
+}
+
 const includeDefault = ['title', 'body'];
 /**
  * Fetch Wikipedia article's resources (e.g. title, body, links...).
  * @param query Search string.
  * @param include Which resources to include in the return object.
  * @param options
- * @throws Error if `query` doesn't return any results.
- * @throws Error if `article.title` points to a disambiguation page.
- * @returns Object containing requested resources.
+ * @throws Error if `query` doesn't return any results (unless `autocorrect` is set and a suggestion has results).
+ * @throws Error if `article.title` points to a disambiguation page (unless `onDisambiguation` is `first` or `best`).
+ * @returns Object containing requested resources and, if a disambiguation page was resolved,
+ *  `disambiguation` (`page` and `alternatives` to the article used) or, if `query` was autocorrected,
+ *  `correction` (`query` and the `suggestion` used).
  */
 async function getWikipediaArticle(query, include = includeDefault, {
-  format = 'plain'
+  format = 'plain',
+  language = 'en',
+  onDisambiguation = 'error',
+  autocorrect = false
 } = {}) {
   if (include.length === 0) include.push(...includeDefault);
+  if (autocorrect) {
+    try {
+      return await getWikipediaArticle(query, include, {
+        format,
+        language,
+        onDisambiguation
+      });
+    } catch (error) {
+      const [suggestion] = error.details?.suggestions ?? [];
+      if (error.code !== 'article-not-found' || suggestion === undefined) throw error;
+      // retry once, using the best suggestion
+      return {
+        ...(await getWikipediaArticle(suggestion, include, {
+          format,
+          language,
+          onDisambiguation
+        })),
+        correction: {
+          query,
+          suggestion
+        }
+      };
+    }
+  }
   const article = {};
   // fetch title, related
   if (include.includes('title') && include.includes('related')) {
     // first result will be selected as the article to be fetched
-    const [title, ...related] = await getMatchingArticlesTitles(query);
+    const [title, ...related] = await getMatchingArticlesTitles(query, false, language);
     article.title = title;
     article.related = related;
   } else if (include.includes('title')) {
-    const [title] = await getMatchingArticlesTitles(query);
+    const [title] = await getMatchingArticlesTitles(query, false, language);
     article.title = title;
   } else if (include.includes('related')) {
-    const [, ...related] = await getMatchingArticlesTitles(query);
+    const [, ...related] = await getMatchingArticlesTitles(query, false, language);
     article.related = related;
   }
   // API calls to `action=query` using `query` instead of `article.title`
@@ -404,29 +1074,52 @@ async function getWikipediaArticle(query, include = includeDefault, {
   const titleQuery = article.title || query;
   // the only option other than to make a separate request at main function checking if page is
   // disambiguation, would be to check if page is disambiguation at every resource request
-  if (await queryPointsToADisambiguationPage(titleQuery)) {
-    throw new CustomError(articleIsDisambiguation(article.related || [] /* suggestions */), 'get-wikipedia-article');
+  if (await queryPointsToADisambiguationPage(titleQuery, language)) {
+    const suggestions = (article.related || []).slice(0, 10);
+    const error = new CustomError(articleIsDisambiguation(suggestions), 'get-wikipedia-article', 'article-is-disambiguation', {
+      suggestions
+    });
+    if (onDisambiguation === 'error') throw error;
+    // otherwise, one of the articles linked by the disambiguation page is used instead
+    const candidates = await rankDisambiguationLinks(titleQuery, query, onDisambiguation, language);
+    for (const [i, candidate] of candidates.slice(0, disambiguationAttemptsMax).entries()) {
+      try {
+        return {
+          ...(await getWikipediaArticle(candidate, include, {
+            format,
+            language
+          })),
+          disambiguation: {
+            page: titleQuery,
+            alternatives: candidates.filter((_, j) => j !== i).slice(0, 10)
+          }
+        };
+      } catch (candidateError) {
+        if (!['article-is-disambiguation', 'article-not-found'].includes(candidateError.code)) throw candidateError;
+      }
+    }
+    throw error;
   }
   // fetch body
   if (include.includes('body')) {
-    article.body = await getArticleBody(titleQuery, format);
+    article.body = await getArticleBody(titleQuery, format, language);
   }
   // fetch summary
   if (include.includes('summary')) {
-    article.summary = article.body ? extractSummaryFromBody(article.body, format) : await getArticleSummary(titleQuery, format);
+    article.summary = article.body ? extractSummaryFromBody(article.body, format) : await getArticleSummary(titleQuery, format, language);
   }
   // fetch categories
   if (include.includes('categories')) {
-    article.categories = await getArticleCategories(titleQuery);
+    article.categories = await getArticleCategories(titleQuery, language);
   }
   // fetch links
   if (include.includes('links')) {
-    article.links = await getArticleLinks(titleQuery);
+    article.links = await getArticleLinks(titleQuery, language);
   }
   // fetch terms
   const termsToInclude = ['alias', 'label', 'description'].filter(term => include.includes(term));
   if (termsToInclude.length > 0) {
-    const terms = await getArticleTerms(titleQuery, termsToInclude);
+    const terms = await getArticleTerms(titleQuery, termsToInclude, language);
     Object.keys(terms).forEach(term => {
       article[term] = terms[term];
     });
@@ -434,81 +1127,475 @@ async function getWikipediaArticle(query, include = includeDefault, {
   return article;
 }
 
-function last(arr) {
-  return arr[arr.length - 1];
-}
-function capitalize(word) {
-  return word[0].toUpperCase() + word.substring(1);
-}
-function isLowercase(str) {
-  return str === str.toLowerCase();
-}
-function getRandomNumber(min, max) {
-  return Math.floor(Math.random() * (max - min + 1) + min);
-}
-function getRandomArrayElement(arr) {
-  const randomIndex = Math.floor(Math.random() * arr.length);
-  return arr[randomIndex];
-}
-function isNumeric(word) {
-  return /^[\d.,:%$]+$/.test(word) && /\d/.test(word);
-}
-function escapeRegExp(regexpString) {
-  return regexpString.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
 /**
- * Apply `functions` to `input` left to right.
- * @param input
- * @param functions Array of functions.
- *  Function only argument and return value must be of the same type as `input`.
- * @returns Value of the same type as `input`.
+ * Source adapters provide the articles (documents) that query inputs are resolved to.
+ * Every adapter implements:
+ * - `resolveTitle(query, context)`: `{ title }` of the document matching `query`
+ *   (Wikipedia also returns `disambiguation` and `correction`, see `getWikipediaArticle`)
+ * - `getBody(title, context)`: document body as plain text (sections as `== Section ==` lines)
+ * - `getMetadata(title, resources, context)` (optional): some of the article resources (e.g. summary)
+ * `context` contains `language`, `onDisambiguation` and `autocorrect`.
  */
-function reduce(input, functions) {
-  return functions.reduce((acc, fn) => fn(acc), input);
-}
-/** Check if argument is an object. */
-function isObject(input) {
-  return Object.prototype.toString.call(input) === '[object Object]';
+const wikipediaSource = {
+  async resolveTitle(query, {
+    language,
+    onDisambiguation,
+    autocorrect
+  }) {
+    // `related` is requested so that disambiguation errors contain suggestions
+    const {
+      related,
+      ...resolved
+    } = await getWikipediaArticle(await resolveQuery(query, language), ['title', 'related'], {
+      language,
+      onDisambiguation,
+      autocorrect
+    });
+    return resolved;
+  },
+  getBody(title, {
+    language
+  }) {
+    return getArticleBody(title, 'plain', language);
+  },
+  async getMetadata(title, resources, {
+    language
+  }) {
+    // body is already cached by `getBody`, and summary is extracted from it
+    const {
+      body,
+      ...metadata
+    } = await getWikipediaArticle(title, [...resources, 'body'], {
+      language
+    });
+    return metadata;
+  }
+};
+
+/** Documents' titles are matched case-insensitively: exact match first, then prefix, then substring. */
+function findDocument(documents, query, sourceName) {
+  const normalize = str => str.toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+  const normalized = normalize(query);
+  const matchers = [title => title === normalized, title => title.startsWith(normalized), title => title.includes(normalized)];
+  for (const matches of matchers) {
+    const document = documents.find(({
+      title
+    }) => matches(normalize(title)));
+    if (document !== undefined) return document;
+  }
+  throw new CustomError(documentNotFound(sourceName), 'get-source-article', 'article-not-found');
+}
+// markdown headings become sections, the rest of the syntax is stripped
+function markdownToPlain(markdown) {
+  return markdown.replace(/^(`{3}|~{3})[\s\S]*?^\1\s*$/gm, '') // code blocks
+  .replace(/^#\s+.*$/m, '') // title
+  .replace(/^(#{2,3})\s+(.+?)\s*#*\s*$/gm, (_, hashes, title) => {
+    const equals = '='.repeat(hashes.length);
+    return `\n\n${equals} ${title} ${equals}`;
+  }).replace(/^#{4,6}\s+/gm, '').replace(/!\[[^\]]*\]\([^)]*\)/g, '') // images
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // links
+  .replace(/<[^>]+>/g, '').replace(/`([^`]*)`/g, '$1').replace(/(\*{1,3}|_{1,3})(\S[\s\S]*?)\1/g, '$2').replace(/^\s*(>|[-*+]|\d+\.)\s+/gm, '').replace(/\n{4,}/g, '\n\n\n').trim();
 }
 
-const escapeAndMakeDotOptional = str => escapeRegExp(str).replace('\\.', '\\.?');
-/* eslint-disable import/prefer-default-export */
 /**
- * Convert to lowercase if both are true:
- * - text contain word in lowercase
- * - all capitalized occurrences are preceded by dot or string beginning
+ * Plain text (`.txt`) and markdown (`.md`) files in `directory`.
+ * Titles are file names without extension (e.g. `style-guide.md` => `style guide`).
  */
-function getCorrectWordCase(wordCapitalized, text) {
-  // check if the first argument really starts with uppercase letter; anything else
-  // (e.g.: lowercase letter, number, dot...) won't need to go through this function
-  if (!/[A-Z]/.test(wordCapitalized[0])) return wordCapitalized;
-  const capitalizedRE = new RegExp(`[^.\\s]\\s+${escapeAndMakeDotOptional(wordCapitalized)}(\\s|\\.|$)`);
-  const textHasCapitalizedWordNotPrecededByDotOrStringBeginning = capitalizedRE.test(text);
-  const wordLowercase = wordCapitalized.toLowerCase();
-  const lowercaseRE = new RegExp(`(^|\\s|\\.)${escapeAndMakeDotOptional(wordLowercase)}(\\s|\\.|$)`);
-  const textContainLowercaseWord = lowercaseRE.test(text);
-  const correctCase = textContainLowercaseWord && !textHasCapitalizedWordNotPrecededByDotOrStringBeginning ? wordLowercase : wordCapitalized;
-  return correctCase;
+class DirectorySource {
+  constructor(optionsArg) {
+    this.options = {
+      directory: 'corpus',
+      extensions: ['.txt', '.md', '.markdown'],
+      ...optionsArg
+    };
+  }
+  async getDocuments() {
+    const {
+      readdir
+    } = await import('node:fs/promises');
+    const {
+      extname,
+      join
+    } = await import('node:path');
+    const files = await readdir(this.options.directory);
+    return files.filter(file => this.options.extensions.includes(extname(file).toLowerCase())).sort().map(file => ({
+      title: file.slice(0, -extname(file).length).replace(/[_-]+/g, ' '),
+      path: join(this.options.directory, file),
+      markdown: extname(file).toLowerCase() !== '.txt'
+    }));
+  }
+  async resolveTitle(query) {
+    return {
+      title: findDocument(await this.getDocuments(), query, 'local').title
+    };
+  }
+  async getBody(title) {
+    const {
+      readFile
+    } = await import('node:fs/promises');
+    const {
+      path,
+      markdown
+    } = findDocument(await this.getDocuments(), title, 'local');
+    const text = (await readFile(path, 'utf8')).replace(/\r\n/g, '\n');
+    return markdown ? markdownToPlain(text) : text;
+  }
+  async getMetadata(title, resources) {
+    return resources.includes('summary') ? {
+      summary: extractSummaryFromBody(await this.getBody(title), 'plain')
+    } : {};
+  }
 }
-/* eslint-enable import/prefer-default-export */
 
 /**
- * Preserve capitalization in words preceded by dot or convert to lowercase.
+ * Project Gutenberg plain text books (`.txt`) in `directory`.
+ * Titles & authors are read from books' headers; license header & footer are left out of bodies.
  */
-function handleCapitalizedLetterPrecededByDotOrStringBeginning(text) {
-  return text.replace(/(?:^|\.\s+)([A-Z]\S*)/g,
-  // capitalizedLetterPrecededByDotOrStringBeginning
-  (match, wordAfterDot, _, whole) => /^[A-Z]+$/.test(wordAfterDot) ? match // if word is acronym (all uppercase), leave as it is
-  : match.replace(wordAfterDot, getCorrectWordCase(wordAfterDot, whole)));
+class GutenbergSource {
+  constructor(optionsArg) {
+    this.options = {
+      directory: 'gutenberg',
+      ...optionsArg
+    };
+  }
+  // only the header of each book is read, and only once
+  async getDocuments() {
+    this.documents ??= (async () => {
+      const {
+        open,
+        readdir
+      } = await import('node:fs/promises');
+      const {
+        join
+      } = await import('node:path');
+      const files = (await readdir(this.options.directory)).filter(file => file.toLowerCase().endsWith('.txt')).sort();
+      return Promise.all(files.map(async file => {
+        const path = join(this.options.directory, file);
+        const handle = await open(path);
+        try {
+          const {
+            buffer,
+            bytesRead
+          } = await handle.read(Buffer.alloc(8192), 0, 8192, 0);
+          const header = buffer.toString('utf8', 0, bytesRead);
+          return {
+            title: /^Title:\s*(.+?)\s*$/m.exec(header)?.[1] ?? file.slice(0, -4),
+            author: /^Author:\s*(.+?)\s*$/m.exec(header)?.[1],
+            path
+          };
+        } finally {
+          await handle.close();
+        }
+      }));
+    })().catch(err => {
+      // failures aren't cached, so fixing the directory doesn't require a restart
+      this.documents = undefined;
+      throw err;
+    });
+    return this.documents;
+  }
+  async resolveTitle(query) {
+    return {
+      title: findDocument(await this.getDocuments(), query, 'gutenberg').title
+    };
+  }
+  async getBody(title) {
+    const {
+      readFile
+    } = await import('node:fs/promises');
+    const {
+      path
+    } = findDocument(await this.getDocuments(), title, 'gutenberg');
+    const text = (await readFile(path, 'utf8')).replace(/\r\n/g, '\n');
+    const start = /^\*{3} ?START OF .*$/m.exec(text);
+    const end = /^\*{3} ?END OF /m.exec(text);
+    const book = text.slice(start ? start.index + start[0].length : 0, end?.index);
+    // lines are hard wrapped, paragraphs are separated by blank lines
+    return book.split(/\n\s*\n/).map(paragraph => paragraph.replace(/\s+/g, ' ').trim()).filter(paragraph => paragraph !== '').map(paragraph => /^(chapter|book|part|act)\b[^.]{0,40}\.?$/i.test(paragraph) ? `\n\n== ${paragraph.replace(/\.$/, '')} ==` : paragraph).join('\n');
+  }
+  async getMetadata(title, resources) {
+    const {
+      author
+    } = findDocument(await this.getDocuments(), title, 'gutenberg');
+    return {
+      ...(resources.includes('summary') ? {
+        summary: extractSummaryFromBody(await this.getBody(title), 'plain')
+      } : {}),
+      ...(resources.includes('description') && author !== undefined ? {
+        description: [`by ${author}`]
+      } : {})
+    };
+  }
 }
 
-function getRangeRespectiveFreqMapWeight(range, weights, ranges) {
-  const index = ranges.findIndex(r => r >= range);
-  const weight = weights[index];
-  return weight;
-}
-/** Using weighted randomness, select one of the freqMap's tier. */
-function getFreqMapRandomTier(freqMap, weights, ranges) {
+/**
+ * Bundled corpus (`offline` directory), meant to be used when Wikipedia can't be reached (see `setFallbackSource`).
+ * Queries without a matching document get one picked by their hash, so a query always gets the same document.
+ */
+class OfflineSource extends DirectorySource {
+  constructor(optionsArg) {
+    super({
+      directory: 'offline',
+      ...optionsArg
+    });
+  }
+  async resolveTitle(query) {
+    try {
+      return await super.resolveTitle(query);
+    } catch {
+      const documents = await this.getDocuments();
+      return {
+        title: documents[hashSeed(query) % documents.length].title
+      };
+    }
+  }
+}
+
+const sourceAdapters = new Map([['wikipedia', wikipediaSource]]);
+let defaultSourceName = 'wikipedia';
+/** Make an adapter (see `wikipediaSource`) selectable as `source` option or as query prefix (e.g. `local:handbook`). */
+function registerSource(name, adapter) {
+  sourceAdapters.set(name, adapter);
+}
+/**
+ * Restrict the sources available to `names`; the first one becomes the default.
+ * e.g. `useSources(['local'])` guarantees no external call is made.
+ */
+function useSources(names) {
+  if (names.length === 0 || names.some(name => !sourceAdapters.has(name))) {
+    throw new CustomError(invalidSourcesList([...sourceAdapters.keys()]), 'fullfiller', 'invalid-source');
+  }
+  [...sourceAdapters.keys()].filter(name => !names.includes(name)).forEach(name => sourceAdapters.delete(name));
+  [defaultSourceName] = names;
+}
+let fallbackSource;
+/** Adapter used instead of Wikipedia when it can't be reached, e.g. `setFallbackSource(new OfflineSource())`. */
+function setFallbackSource(adapter) {
+  fallbackSource = adapter;
+}
+/** `source:query` prefix (only for registered sources) takes precedence over `sourceName`. */
+function parseSourceQuery(query, sourceName = defaultSourceName) {
+  const [, prefix, rest] = /^([\w-]+):(.+)$/.exec(query) ?? [];
+  return prefix !== undefined && sourceAdapters.has(prefix) ? {
+    sourceName: prefix,
+    query: rest
+  } : {
+    sourceName,
+    query
+  };
+}
+/**
+ * Fetch an article (i.e. `title`, `body` and requested resources) from a source adapter.
+ * @param query Search string, may be prefixed with a source name.
+ * @param resources Article resources to fetch, if the adapter provides them.
+ * @param options
+ * @returns Object containing `source` name, `title`, `body`, resources and, if any, `disambiguation` or `correction`
+ *  or, if Wikipedia couldn't be reached and the fallback source was used instead, `fallback`.
+ */
+async function getSourceArticle(queryArg, resources = [], {
+  source = defaultSourceName,
+  language = 'en',
+  onDisambiguation = 'error',
+  autocorrect = false
+} = {}) {
+  const {
+    sourceName,
+    query
+  } = parseSourceQuery(queryArg, source);
+  const context = {
+    language,
+    onDisambiguation,
+    autocorrect
+  };
+  try {
+    return await getAdapterArticle(sourceAdapters.get(sourceName), sourceName, query, resources, context);
+  } catch (error) {
+    if (sourceName !== 'wikipedia' || fallbackSource === undefined || error.code !== 'upstream-fetch-failed') throw error;
+    return {
+      ...(await getAdapterArticle(fallbackSource, 'offline', query, resources, context)),
+      fallback: {
+        source: 'offline',
+        cause: error.details.cause
+      }
+    };
+  }
+}
+async function getAdapterArticle(adapter, sourceName, query, resources, context) {
+  const {
+    title,
+    ...details
+  } = await adapter.resolveTitle(query, context);
+  const body = await adapter.getBody(title, context);
+  const metadata = resources.length > 0 && adapter.getMetadata !== undefined ? await adapter.getMetadata(title, resources, context) : {};
+  return {
+    ...metadata,
+    ...details,
+    source: sourceName,
+    title,
+    body
+  };
+}
+
+function last(arr) {
+  return arr[arr.length - 1];
+}
+function capitalize(word) {
+  return word[0].toUpperCase() + word.substring(1);
+}
+function isLowercase(str) {
+  return str === str.toLowerCase();
+}
+/**
+ * Hash `seed` into a 32-bit unsigned integer (FNV-1a).
+ * Strings and numbers are hashed alike, so `42` and `'42'` produce the same generator.
+ */
+function hashSeed(seed) {
+  return String(seed).split('').reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0, 2166136261);
+}
+/**
+ * Create a seedable pseudorandom number generator (mulberry32).
+ * @param seed Any string or number.
+ * @returns Function that, just like `Math.random`, returns a float between 0 (inclusive) and 1 (exclusive).
+ */
+function createRandomGenerator(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = state + 0x6d2b79f5 >>> 0;
+    let t = state;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+// every random choice goes through this generator, which is replaced by a seeded one
+// right before generation; generation is synchronous, so concurrent calls won't interleave
+let random = Math.random;
+function setRandomGenerator(generator) {
+  random = generator;
+}
+function generateSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+function getRandomNumber(min, max) {
+  return Math.floor(random() * (max - min + 1) + min);
+}
+function getRandomArrayElement(arr) {
+  const randomIndex = Math.floor(random() * arr.length);
+  return arr[randomIndex];
+}
+function isNumeric(word) {
+  return /^[\d.,:%$]+$/.test(word) && /\d/.test(word);
+}
+/**
+ * Apply `functions` to `input` left to right.
+ * @param input
+ * @param functions Array of functions.
+ *  Function only argument and return value must be of the same type as `input`.
+ * @returns Value of the same type as `input`.
+ */
+function reduce(input, functions) {
+  return functions.reduce((acc, fn) => fn(acc), input);
+}
+/** Check if argument is an object. */
+function isObject(input) {
+  return Object.prototype.toString.call(input) === '[object Object]';
+}
+
+/**
+ * Index every occurrence of words in `text`, so normalization can answer questions about
+ * the whole text (e.g. does it contain this word in lowercase?) without scanning it for every word.
+ * - `tokens`: whitespace separated tokens and how many times each occurs
+ * - `capitalized`: tokens' prefixes ending at a dot or at token end, from tokens
+ *   not preceded by a dot or string beginning (i.e. the ones whose case is meaningful)
+ * - `segments`: substrings of tokens delimited by dots and/or token boundaries
+ * - `leadingDot`: positions of every word preceded by a dot (e.g. `.com`),
+ *   delimited by non-word characters
+ */
+function createTextIndex(text) {
+  const index = {
+    tokens: new Map(),
+    capitalized: new Set(),
+    segments: new Set(),
+    leadingDot: new Map()
+  };
+  let previousToken;
+  for (const [token] of text.matchAll(/\S+/g)) {
+    index.tokens.set(token, (index.tokens.get(token) ?? 0) + 1);
+    const isCaseMeaningful = previousToken !== undefined && !previousToken.endsWith('.');
+    if (!token.includes('.')) {
+      // most tokens don't contain dots, so they're their only prefix & segment
+      if (isCaseMeaningful) index.capitalized.add(token);
+      index.segments.add(token);
+    } else {
+      const dots = [];
+      for (let i = token.indexOf('.'); i !== -1; i = token.indexOf('.', i + 1)) dots.push(i);
+      const ends = [...dots, token.length];
+      if (isCaseMeaningful) ends.forEach(end => index.capitalized.add(token.slice(0, end)));
+      [0, ...dots.map(i => i + 1)].forEach(start => ends.filter(end => end >= start).forEach(end => index.segments.add(token.slice(start, end))));
+    }
+    previousToken = token;
+  }
+  // sticky, so it only matches right after the dot instead of scanning the rest of the text
+  const segmentRE = /[^\s.]*/y;
+  for (const {
+    index: position
+  } of text.matchAll(/\./g)) {
+    if (position === 0 || /\W/.test(text[position - 1])) {
+      segmentRE.lastIndex = position + 1;
+      const [segment] = segmentRE.exec(text);
+      for (let end = 1; end <= segment.length; end += 1) {
+        if (end === segment.length || /\W/.test(segment[end])) {
+          const word = `.${segment.slice(0, end)}`;
+          if (!index.leadingDot.has(word)) index.leadingDot.set(word, []);
+          index.leadingDot.get(word).push(position);
+        }
+      }
+    }
+  }
+  return index;
+}
+// word's first dot is optional when looking for it (e.g. `U.S` would also match `US`)
+function getDotOptionalForms(word) {
+  return word.includes('.') ? [word, word.replace('.', '')] : [word];
+}
+/* eslint-disable import/prefer-default-export */
+/**
+ * Convert to lowercase if both are true:
+ * - text contain word in lowercase
+ * - all capitalized occurrences are preceded by dot or string beginning
+ * @param wordCapitalized
+ * @param index Text index (see `createTextIndex`).
+ */
+function getCorrectWordCase(wordCapitalized, index) {
+  // check if the first argument really starts with uppercase letter; anything else
+  // (e.g.: lowercase letter, number, dot...) won't need to go through this function
+  if (!/[A-Z]/.test(wordCapitalized[0])) return wordCapitalized;
+  const textHasCapitalizedWordNotPrecededByDotOrStringBeginning = getDotOptionalForms(wordCapitalized).some(form => index.capitalized.has(form));
+  const wordLowercase = wordCapitalized.toLowerCase();
+  const textContainLowercaseWord = getDotOptionalForms(wordLowercase).some(form => index.segments.has(form));
+  const correctCase = textContainLowercaseWord && !textHasCapitalizedWordNotPrecededByDotOrStringBeginning ? wordLowercase : wordCapitalized;
+  return correctCase;
+}
+/* eslint-enable import/prefer-default-export */
+
+/**
+ * Preserve capitalization in words preceded by dot or convert to lowercase.
+ */
+function handleCapitalizedLetterPrecededByDotOrStringBeginning(text) {
+  const index = createTextIndex(text);
+  return text.replace(/(?:^|\.\s+)([A-Z]\S*)/g,
+  // capitalizedLetterPrecededByDotOrStringBeginning
+  (match, wordAfterDot) => /^[A-Z]+$/.test(wordAfterDot) ? match // if word is acronym (all uppercase), leave as it is
+  : match.replace(wordAfterDot, getCorrectWordCase(wordAfterDot, index)));
+}
+
+function getRangeRespectiveFreqMapWeight(range, weights, ranges) {
+  const index = ranges.findIndex(r => r >= range);
+  const weight = weights[index];
+  return weight;
+}
+/** Using weighted randomness, select one of the freqMap's tier. */
+function getFreqMapRandomTier(freqMap, weights, ranges) {
   const range = getRandomNumber(1, last(ranges));
   const weight = getRangeRespectiveFreqMapWeight(range, weights, ranges);
   const tier = freqMap[weight];
@@ -536,37 +1623,223 @@ var mostCommonStopwordsFreqMap = {"1":["with","that","for","are","this","be","by
 
 var stopwords = ["a","able","about","above","according","accordingly","across","actually","after","afterwards","again","against","ain't","all","allow","allows","almost","alone","along","already","also","although","always","am","among","amongst","an","and","another","any","anybody","anyhow","anyone","anything","anyway","anyways","anywhere","apart","appear","appreciate","appropriate","are","aren't","around","as","aside","ask","asking","associated","at","available","away","awfully","be","became","because","become","becomes","becoming","been","before","beforehand","behind","being","believe","below","beside","besides","best","better","between","beyond","both","brief","but","by","came","can","can't","cannot","cant","cause","causes","certain","certainly","changes","clearly","come","comes","concerning","consequently","consider","considering","contain","containing","contains","corresponding","could","couldn't","course","currently","definitely","described","despite","did","didn't","different","do","does","doesn't","doing","don't","done","down","downwards","during","each","e.g.","eg","eight","either","else","elsewhere","enough","entirely","especially","etc","even","ever","every","everybody","everyone","everything","everywhere","ex","exactly","example","except","far","few","fifth","first","five","followed","following","follows","for","former","formerly","forth","four","from","further","furthermore","get","gets","getting","given","gives","go","goes","going","gone","got","gotten","greetings","had","hadn't","happens","hardly","has","hasn't","have","haven't","having","he","he's","hello","help","hence","her","here","here's","hereafter","hereby","herein","hereupon","hers","herself","hi","him","himself","his","hither","hopefully","how","however","i","i'd","i'll","i'm","i've","i.e.","ie","if","ignored","immediate","in","indeed","indicate","indicated","indicates","inner","insofar","instead","into","inward","is","isn't","it","it'd","it'll","it's","its","itself","just","keep","keeps","kept","know","known","knows","last","lately","later","latter","latterly","least","less","lest","let","let's","like","liked","likely","little","look","looking","looks","ltd","mainly","many","may","maybe","me","mean","meanwhile","merely","might","more","moreover","most","mostly","much","must","my","myself","name","namely","near","nearly","necessary","need","needs","neither","never","nevertheless","new","next","nine","no","nobody","non","none","nor","normally","not","nothing","novel","now","nowhere","obviously","of","off","often","oh","ok","okay","old","on","once","one","ones","only","onto","or","other","others","otherwise","ought","our","ours","ourselves","out","outside","over","overall","own","particular","particularly","per","perhaps","placed","please","plus","possible","presumably","probably","provides","quite","rather","rd","really","reasonably","regarding","regardless","regards","relatively","respectively","right","said","same","saw","say","saying","says","second","secondly","see","seeing","seem","seemed","seeming","seems","seen","self","selves","sensible","sent","serious","seriously","seven","several","shall","she","should","shouldn't","since","six","so","some","somebody","somehow","someone","something","sometime","sometimes","somewhat","somewhere","soon","sorry","specified","specify","specifying","still","sub","such","sure","take","taken","tell","tends","th","than","thank","thanks","that","that's","thats","the","their","theirs","them","themselves","then","thence","there","there's","thereafter","thereby","therefore","therein","theres","thereupon","these","they","they'd","they'll","they're","they've","think","third","this","thorough","thoroughly","those","though","three","through","throughout","thru","thus","to","together","too","took","toward","towards","tried","tries","truly","try","trying","twice","two","under","unfortunately","unless","unlikely","until","unto","up","upon","us","use","used","useful","uses","using","usually","value","various","very","via","vs","want","wants","was","wasn't","way","we","we'd","we'll","we're","we've","welcome","well","went","were","weren't","what","what's","whatever","when","whence","whenever","where","where's","whereafter","whereas","whereby","wherein","whereupon","wherever","whether","which","while","whither","who","who's","whoever","whole","whom","whose","why","will","willing","wish","with","within","without","won't","wonder","would","wouldn't","yes","yet","you","you'd","you'll","you're","you've","your","yours","yourself","yourselves","zero"];
 
+var mostCommonStopwordsFreqMapPt = {"1":["se","na","por","mais","as","dos","como","mas","ao","ele","das","à","seu","sua","ou"],"2":["que","do","da","em","um","para","com","uma","os","no"],"4":["de","a","o","e"]};
+
+var stopwordsPt = ["a","à","ao","aos","aquela","aquelas","aquele","aqueles","aquilo","as","às","até","cada","com","como","da","das","de","dela","delas","dele","deles","depois","do","dos","e","é","ela","elas","ele","eles","em","entre","era","eram","essa","essas","esse","esses","esta","está","estão","estas","este","estes","eu","foi","foram","há","isso","isto","já","lhe","lhes","mais","mas","me","mesmo","meu","minha","muito","na","não","nas","nem","no","nos","nós","num","numa","o","os","ou","para","pela","pelas","pelo","pelos","pode","por","qual","quando","que","quem","são","se","seja","sem","ser","seu","seus","só","sobre","sua","suas","também","te","tem","têm","tinha","um","uma","umas","uns","você","vocês"];
+
+var mostCommonStopwordsFreqMapEs = {"1":["no","una","su","para","es","al","lo","como","más","o","pero","sus"],"2":["en","y","a","los","se","del","las","un","por","con"],"4":["de","la","que","el"]};
+
+var stopwordsEs = ["a","al","algo","algunas","algunos","ante","antes","como","con","contra","cual","cuando","de","del","desde","donde","durante","e","el","él","ella","ellas","ellos","en","entre","era","eran","es","esa","esas","ese","eso","esos","esta","está","están","estas","este","esto","estos","fue","fueron","ha","han","hasta","hay","la","las","le","les","lo","los","más","me","mi","mis","mucho","muy","nada","ni","no","nos","nosotros","o","otra","otras","otro","otros","para","pero","poco","por","porque","que","qué","quien","se","ser","si","sí","sin","sobre","son","su","sus","también","tanto","te","tiene","todo","todos","tu","tus","un","una","uno","unos","y","ya","yo"];
+
+var mostCommonStopwordsFreqMapFr = {"1":["pour","qui","par","sur","au","plus","avec","il","ce","se","sont","aux"],"2":["les","des","en","un","du","une","à","est","que","dans"],"4":["de","la","le","et"]};
+
+var stopwordsFr = ["à","a","ainsi","après","au","aussi","aux","avant","avec","ce","ces","cet","cette","comme","dans","de","depuis","des","donc","du","elle","elles","en","entre","est","et","était","été","être","eu","fait","il","ils","je","la","le","les","leur","leurs","lors","lui","ma","mais","me","même","mes","moi","mon","ne","nos","notre","nous","on","ont","ou","où","par","pas","plus","pour","qu","que","qui","sa","sans","se","ses","si","son","sont","sous","sur","ta","te","tes","toi","ton","tous","tout","très","tu","un","une","vos","votre","vous","y"];
+
+var mostCommonStopwordsFreqMapDe = {"1":["im","dem","nicht","ein","eine","als","auch","es","an","aus","er","hat","dass","sie","nach","wird","bei"],"2":["in","den","von","zu","das","mit","sich","des","auf","ist"],"4":["der","die","und"]};
+
+var stopwordsDe = ["aber","alle","als","am","an","auch","auf","aus","bei","bin","bis","da","damit","dann","das","dass","dem","den","denn","der","des","die","dies","diese","dieser","dieses","doch","dort","du","durch","ein","eine","einem","einen","einer","eines","er","es","für","gegen","hat","hatte","ich","ihr","ihre","im","in","ist","ja","jede","kann","kein","man","mit","nach","nicht","noch","nur","ob","oder","ohne","sehr","sein","seine","sich","sie","sind","so","über","um","und","uns","unter","vom","von","vor","war","waren","was","weil","wenn","werden","wie","wir","wird","wurde","wurden","zu","zum","zur","zwischen"];
+
+// enclosing punctuation is written as opening & closing halves joined (e.g. `()`, `—  —`)
+/**
+ * Punctuation profiles, selected by `punctuation` option.
+ * - `end`: weight map of marks ending sentences
+ * - `mid`: weight map of marks placed inside sentences (longer than 8 words); marks containing `,`, `;` or `:`
+ *   follow a word, the other ones enclose words and are split in half (e.g. `()`, `—  —`)
+ * - `midProbability`: chance of a sentence getting a mid mark
+ * Marks are written in English and localized by each language (e.g. `""` becomes `«»` in Spanish).
+ */
+const punctuationPresets = {
+  default: {
+    end: {
+      1: ['...'],
+      3: ['!', '?'],
+      16: ['.']
+    },
+    mid: {
+      1: ['[]'],
+      2: [';', ':'],
+      4: ['""', '()', '—  —'],
+      8: [',']
+    },
+    midProbability: 0.8
+  },
+  // no exclamations, ellipses, brackets, quotes or dashes
+  formal: {
+    end: {
+      1: ['?'],
+      16: ['.']
+    },
+    mid: {
+      1: [';', ':'],
+      2: ['()'],
+      8: [',']
+    },
+    midProbability: 0.6
+  },
+  casual: {
+    end: {
+      2: ['...'],
+      4: ['!', '?'],
+      12: ['.']
+    },
+    mid: {
+      2: ['""', '()', '—  —'],
+      8: [',']
+    },
+    midProbability: 0.9
+  },
+  // sentences end with a period and nothing else
+  none: {
+    end: {
+      1: ['.']
+    },
+    mid: {},
+    midProbability: 0
+  }
+};
+/**
+ * Every language-specific resource: stopwords used while tokenizing & generating text
+ * (a `Set`, since every word is looked up) and punctuation used while generating text.
+ * `marks` = how English marks of punctuation profiles are written (see `punctuationPresets`).
+ * `invertedPunctuation` = mark prepended to the sentence (e.g. Spanish `¿...?`).
+ */
+const languages = {
+  en: {
+    stopwords: new Set(stopwords),
+    getRandomStopword: weightedRandomness(mostCommonStopwordsFreqMap),
+    punctuation: {
+      marks: {}
+    }
+  },
+  pt: {
+    stopwords: new Set(stopwordsPt),
+    getRandomStopword: weightedRandomness(mostCommonStopwordsFreqMapPt),
+    punctuation: {
+      marks: {
+        '""': '“”'
+      }
+    }
+  },
+  es: {
+    stopwords: new Set(stopwordsEs),
+    getRandomStopword: weightedRandomness(mostCommonStopwordsFreqMapEs),
+    punctuation: {
+      marks: {
+        '""': '«»'
+      },
+      invertedPunctuation: {
+        '?': '¿',
+        '!': '¡'
+      }
+    }
+  },
+  fr: {
+    stopwords: new Set(stopwordsFr),
+    getRandomStopword: weightedRandomness(mostCommonStopwordsFreqMapFr),
+    // french typography requires a (non-breaking) space before double punctuation & inside guillemets
+    punctuation: {
+      marks: {
+        '!': '\u00a0!',
+        '?': '\u00a0?',
+        ';': '\u00a0;',
+        ':': '\u00a0:',
+        '""': '«\u00a0\u00a0»'
+      }
+    }
+  },
+  de: {
+    stopwords: new Set(stopwordsDe),
+    getRandomStopword: weightedRandomness(mostCommonStopwordsFreqMapDe),
+    punctuation: {
+      marks: {
+        '""': '„“'
+      }
+    }
+  }
+};
+// just like `random`, it's set right before tokenizing or generating text (both are synchronous)
+let language = languages.en;
+function setLanguage(code) {
+  language = languages[code];
+}
+// localized punctuation profile, set along with language
+let punctuation;
+/**
+ * Merge `punctuation` option (preset name or `{ preset, end, mid, midProbability }`) with its preset
+ * and localize its marks to the given language.
+ */
+function resolvePunctuation(punctuationOption, languageCode) {
+  const {
+    preset = 'default',
+    ...custom
+  } = typeof punctuationOption === 'string' ? {
+    preset: punctuationOption
+  } : punctuationOption;
+  const profile = {
+    ...punctuationPresets[preset],
+    ...custom
+  };
+  const {
+    marks
+  } = languages[languageCode].punctuation;
+  const localize = weightMap => Object.fromEntries(Object.entries(weightMap).map(([weight, tier]) => [weight, tier.map(mark => marks[mark] ?? mark)]));
+  return {
+    end: localize(profile.end),
+    mid: localize(profile.mid),
+    midProbability: profile.midProbability
+  };
+}
+function setPunctuation(profile) {
+  punctuation = profile;
+}
 function isStopword(word) {
-  return stopwords.includes(word.toLowerCase());
+  return language.stopwords.has(word.toLowerCase());
+}
+function getRandomStopword() {
+  return language.getRandomStopword();
 }
-const getRandomStopword = weightedRandomness(mostCommonStopwordsFreqMap);
 
+/**
+ * Count occurrences of a word preceded by a dot, each one preceded by string beginning or by a non-word
+ * character that isn't part of the previous occurrence (e.g. `.x-.x-` counts once).
+ */
+function countLeadingDotOccurrences(wordContainingLeadingDot, index) {
+  let count = 0;
+  let previousEnd = -1;
+  (index.leadingDot.get(wordContainingLeadingDot) ?? []).forEach(position => {
+    if (position === 0 || position - 1 >= previousEnd) {
+      count += 1;
+      previousEnd = position + wordContainingLeadingDot.length;
+    }
+  });
+  return count;
+}
 /**
  * Preserve dot if word containing leading dot occurs more than once.
  */
-function handleLeadingDot(wordContainingLeadingDot, text) {
+function handleLeadingDot(wordContainingLeadingDot, index) {
   const wordWithoutDot = wordContainingLeadingDot.substring(1);
   if (isStopword(wordWithoutDot)) return '';
-  const doesTextContainsMultipleOccurrences = (text.match(new RegExp(`(^|\\W)${escapeRegExp(wordContainingLeadingDot)}(?=(\\W|$))`, 'g')) || []).length > 1;
-  const correctWordForm = doesTextContainsMultipleOccurrences ? wordContainingLeadingDot : getCorrectWordCase(wordWithoutDot, text);
+  const doesTextContainsMultipleOccurrences = countLeadingDotOccurrences(wordContainingLeadingDot, index) > 1;
+  const correctWordForm = doesTextContainsMultipleOccurrences ? wordContainingLeadingDot : getCorrectWordCase(wordWithoutDot, index);
   return correctWordForm;
 }
 
-function shouldPreserveTrailingDot(wordContainingTrailingDot, text) {
+function shouldPreserveTrailingDot(wordContainingTrailingDot, index) {
   const wordWithoutDot = wordContainingTrailingDot.replace(/\.$/, '');
-  const wordWithDotNumberOfOccurrences = (text.match(new RegExp(`(^|\\s)${escapeRegExp(wordContainingTrailingDot)}(?=\\s|$)`, 'g')) || []).length;
+  const wordWithDotNumberOfOccurrences = index.tokens.get(wordContainingTrailingDot) ?? 0;
   if (wordWithDotNumberOfOccurrences === 1) return false;
-  const wordWithoutDotNumberOfOccurrences = (text.match(new RegExp(`(^|\\s)${escapeRegExp(wordWithoutDot)}(?=\\s|$)`, 'g')) || []).length;
+  const wordWithoutDotNumberOfOccurrences = index.tokens.get(wordWithoutDot) ?? 0;
   return wordWithDotNumberOfOccurrences > wordWithoutDotNumberOfOccurrences;
 }
 /**
  * Preserve dot if word containing trailing dot happens more
  * than once and more often than word without trailing dot.
  */
-function handleTrailingDot(wordContainingTrailingDot, text) {
+function handleTrailingDot(wordContainingTrailingDot, index) {
   const wordWithoutDot = wordContainingTrailingDot.slice(0, -1);
   if (isStopword(wordWithoutDot)) return '';
-  const preserveTrailingDot = shouldPreserveTrailingDot(wordContainingTrailingDot, text);
+  const preserveTrailingDot = shouldPreserveTrailingDot(wordContainingTrailingDot, index);
   const handled = preserveTrailingDot ? wordContainingTrailingDot : wordWithoutDot;
   return handled;
 }
@@ -577,18 +1850,18 @@ function handleTrailingDot(wordContainingTrailingDot, text) {
  *
  * @summary Replace dot with space and fix the case of the word after dot.
  */
-function replaceMiddleDotWithSpace(match, text) {
+function replaceMiddleDotWithSpace(match, index) {
   const [, wordBeforeDot, wordAfterDot] = /^(.+)\.(.+)$/.exec(match);
   const isWordBeforeDotStopword = isStopword(wordBeforeDot);
   const isWordAfterDotStopword = isStopword(wordAfterDot);
   if (isWordBeforeDotStopword && isWordAfterDotStopword) return '';
-  if (isWordBeforeDotStopword) return getCorrectWordCase(wordAfterDot, text);
+  if (isWordBeforeDotStopword) return getCorrectWordCase(wordAfterDot, index);
   if (isWordAfterDotStopword) return wordBeforeDot;
   // if neither is stopword
-  return `${wordBeforeDot} ${getCorrectWordCase(wordAfterDot, text)}`;
+  return `${wordBeforeDot} ${getCorrectWordCase(wordAfterDot, index)}`;
 }
 
-function replacer(wordContainingDot, offset, whole) {
+function replacer(wordContainingDot, index) {
   if (/^[.]+$/.test(wordContainingDot)) return '';
   // string containing only numeric values
   if (isNumeric(wordContainingDot)) {
@@ -596,11 +1869,11 @@ function replacer(wordContainingDot, offset, whole) {
   }
   // preserve or remove leading/trailing dot
   if (/^\.|\.$/.test(wordContainingDot) && wordContainingDot.match(/\./g)?.length === 1) {
-    return wordContainingDot.startsWith('.') ? handleLeadingDot(wordContainingDot, whole) : handleTrailingDot(wordContainingDot, whole);
+    return wordContainingDot.startsWith('.') ? handleLeadingDot(wordContainingDot, index) : handleTrailingDot(wordContainingDot, index);
   }
   // fix something like `word.Word`
   if (/[a-z0-9]\.[A-Z0-9]/.test(wordContainingDot) && wordContainingDot.match(/\./g)?.length === 1) {
-    return replaceMiddleDotWithSpace(wordContainingDot, whole);
+    return replaceMiddleDotWithSpace(wordContainingDot, index);
   }
   // else, preserve dot in:
   // - words with multiple dots
@@ -610,9 +1883,10 @@ function replacer(wordContainingDot, offset, whole) {
   return wordContainingDot;
 }
 function preserveRemoveOrReplaceDot(text) {
+  const index = createTextIndex(text);
   return text.replace(/\S*\.\S*/g,
   // word containing dot(s) at any position
-  replacer);
+  wordContainingDot => replacer(wordContainingDot, index));
 }
 
 function preserveCommaOrColonIfSurroundedByNumbers(_, before, commaOrColon, after) {
@@ -621,35 +1895,39 @@ function preserveCommaOrColonIfSurroundedByNumbers(_, before, commaOrColon, afte
   const removed = `${before} `;
   return isCommaOrColonSurroundedByNumbers ? preserved : removed;
 }
-function removeUselessStuff(string) {
+function removeUselessStuff(string, keepStopwords = false) {
   const removed = string
   // remove useless punctuation
   // `.?!,:;-–—<>[]{}()'"…` = 15 punctuations signs in english
   // em dash/en dash and opening/closing are counted as the same
+  // plus quotes & inverted marks used in other languages (`«»„“”¿¡`)
   // only hyphen & apostrophe will be always preserved
   // single dot will be handled at `preserveRemoveOrReplaceDot` function
-  .replace(/["()[\]{}<>–—;?!]+/g, ' ').replace(/(^|.)(,|:)(?=(.|$))/g, preserveCommaOrColonIfSurroundedByNumbers).replace(/\.{2,}|…/g, ' ')
+  .replace(/["()[\]{}<>–—;?!«»„“”¿¡]+/g, ' ').replace(/(^|.)(,|:)(?=(.|$))/g, preserveCommaOrColonIfSurroundedByNumbers).replace(/\.{2,}|…/g, ' ')
   // remove line breaks
   .replace(/\n+/g, ' ')
   // remove stopwords
-  .replace(/\S+/g, match => isStopword(match) ? '' : match)
+  .replace(/\S+/g, match => !keepStopwords && isStopword(match) ? '' : match)
   // remove space between initials
   .replace(/(^|\s)([A-Z]\.(\s|$)){2,}/g, initials => ` ${initials.replace(/\s/g, '')} `);
   return removed;
 }
 
-/** Remove words that doesn't contain at least one alphanumeric character. */
+/** Remove words that doesn't contain at least one alphanumeric character (accented letters included). */
 function removeWordsNotContainingAlphanumericChar(text) {
-  return text.replace(/(^|\s)[^\s\w]+(?=(\s|$))/g, '');
+  return text.replace(/(^|\s)[^\s\p{L}\p{N}_]+(?=(\s|$))/gu, '');
 }
 
-function normalizeText(text) {
-  const normalized = reduce(text, [removeUselessStuff, handleCapitalizedLetterPrecededByDotOrStringBeginning, preserveRemoveOrReplaceDot, removeWordsNotContainingAlphanumericChar]);
+function normalizeText(text, keepStopwords) {
+  const normalized = reduce(text, [string => removeUselessStuff(string, keepStopwords), handleCapitalizedLetterPrecededByDotOrStringBeginning, preserveRemoveOrReplaceDot, removeWordsNotContainingAlphanumericChar]);
   return normalized;
 }
 
 const optionsDefault = {
-  lengthMin: 0 // don't error even if return array is empty
+  lengthMin: 0,
+  // don't error even if return array is empty
+  language: 'en',
+  keepStopwords: false // markov chains need the whole sequence of words
 };
 /**
  * Break down text string into array of words.
@@ -663,10 +1941,11 @@ function tokenizeWords(text, optionsArg) {
     ...optionsDefault,
     ...optionsArg
   };
-  const wordsArray = normalizeText(text).match(/\S+/g) || [];
+  setLanguage(options.language);
+  const wordsArray = normalizeText(text, options.keepStopwords).match(/\S+/g) || [];
   const wordsArrayLength = wordsArray.length;
   if (wordsArrayLength < options.lengthMin) {
-    throw new CustomError(notEnoughWordsInWordsArray(options.lengthMin, wordsArrayLength), 'tokenize-words');
+    throw new CustomError(notEnoughWordsInWordsArray(options.lengthMin, wordsArrayLength), 'tokenize-words', 'not-enough-words-in-words-array');
   }
   return wordsArray;
 }
@@ -699,51 +1978,66 @@ distributionLengthMin, distributionLengthMax) {
   }, []);
 }
 
+/** Shortest text (in characters) for which `fitTextArrayToCharacters` is able to construct a sentence. */
+const charactersMinimum = 20;
 /**
+ * Paragraphs are distributed lazily (one at a time), so even huge quantities can be streamed
+ * without building the whole distribution up front.
  *
  * @param quantity Number of specified unit. See more at {@link unitType}.
  * @param unit
  * @param sentencesPerParagraph Contains 2 properties: min & max
  * @param wordsPerSentence Contains 2 properties: min & max
- * @returns Each nested number array is a paragraph, each number is a sentence.
+ * @yields Number array representing a paragraph, each number is a sentence.
  */
-function distribute(quantity, unit, sentencesPerParagraph, wordsPerSentence) {
+function* distribute(quantity, unit, sentencesPerParagraph, wordsPerSentence) {
+  // sentences length is independent of how many words a paragraph has
+  if (unit === 'sentences') {
+    const sentencesDistribution = breakNumberIntoChunks(quantity, sentencesPerParagraph.min, sentencesPerParagraph.max, Math.ceil(quantity / sentencesPerParagraph.max),
+    // paragraphsQuantityMin
+    Math.floor(quantity / sentencesPerParagraph.min) // paragraphsQuantityMax
+    );
+    for (const sentencesPerParagraphQuantity of sentencesDistribution) {
+      yield Array.from({
+        length: sentencesPerParagraphQuantity
+      }).map(() => getRandomNumber(wordsPerSentence.min, wordsPerSentence.max));
+    }
+    return;
+  }
   const wordsPerParagraphMin = sentencesPerParagraph.min * wordsPerSentence.min;
   const wordsPerParagraphMax = sentencesPerParagraph.max * wordsPerSentence.max;
+  // each number represents a sentence (sentence's quantity of words = number)
+  const breakParagraphIntoSentences = wordsPerParagraph => breakNumberIntoChunks(wordsPerParagraph, wordsPerSentence.min, wordsPerSentence.max, Math.max(Math.ceil(wordsPerParagraph / wordsPerSentence.max), sentencesPerParagraph.min),
+  // sentencesQuantityMin
+  Math.min(Math.floor(wordsPerParagraph / wordsPerSentence.min), sentencesPerParagraph.max) // sentencesQuantityMax
+  );
+  if (unit === 'paragraphs') {
+    for (let i = 0; i < quantity; i += 1) {
+      yield breakParagraphIntoSentences(getRandomNumber(wordsPerParagraphMin, wordsPerParagraphMax));
+    }
+    return;
+  }
+  // text of exact length is cut out of a longer text (see `fitTextArrayToCharacters`);
+  // every word takes at least 2 characters (counting the space), 1/3 ensures there's some surplus
+  const wordsQuantity = unit === 'characters' ? Math.max(Math.ceil(quantity / 3), wordsPerParagraphMin) : quantity;
   // array of numbers
   // each number represents a paragraph (paragraph's quantity of words = number)
-  const paragraphsDistribution = unit === 'paragraphs' ? Array.from({
-    length: quantity
-  }).map(() => getRandomNumber(wordsPerParagraphMin, wordsPerParagraphMax)) : breakNumberIntoChunks(quantity, wordsPerParagraphMin, wordsPerParagraphMax, Math.ceil(quantity / wordsPerParagraphMax),
+  const paragraphsDistribution = breakNumberIntoChunks(wordsQuantity, wordsPerParagraphMin, wordsPerParagraphMax, Math.ceil(wordsQuantity / wordsPerParagraphMax),
   // paragraphsQuantityMin
-  Math.floor(quantity / wordsPerParagraphMin) // paragraphsQuantityMax
+  Math.floor(wordsQuantity / wordsPerParagraphMin) // paragraphsQuantityMax
   );
-  // array containing arrays of numbers
-  // each number represents a sentence (sentence's quantity of words = number)
-  const sentencesDistribution = paragraphsDistribution.map(wordsPerParagraph => breakNumberIntoChunks(wordsPerParagraph, wordsPerSentence.min, wordsPerSentence.max, Math.max(Math.ceil(wordsPerParagraph / wordsPerSentence.max), sentencesPerParagraph.min),
-  // sentencesQuantityMin
-  Math.min(Math.floor(wordsPerParagraph / wordsPerSentence.min), sentencesPerParagraph.max) // sentencesQuantityMax
-  ));
-
-  return sentencesDistribution;
+  for (const wordsPerParagraph of paragraphsDistribution) {
+    yield breakParagraphIntoSentences(wordsPerParagraph);
+  }
 }
 
 function capitalizeSentence(sentenceArray) {
   return [capitalize(sentenceArray[0]), ...sentenceArray.slice(1)];
 }
 function getRandomPunctuation(location) {
-  const freqMap = location === 'end' ? {
-    1: ['...'],
-    3: ['!', '?'],
-    16: ['.']
-  } : {
-    1: ['[]'],
-    2: [';', ':'],
-    4: ['""', '()', '—  —'],
-    8: [',']
-  }; // mid punctuation will be enclosing (quotes, parentheses, brackets, em dash) 1/3 of the time
-  const punctuation = weightedRandomness(freqMap)();
-  return punctuation;
+  // with default profile, mid punctuation will be enclosing (quotes, parentheses, brackets, em dash) 1/3 of the time
+  const freqMap = punctuation[location];
+  return weightedRandomness(freqMap)();
 }
 function addEndSentencePunctuation(arr) {
   const sentenceArray = [...arr];
@@ -752,39 +2046,36 @@ function addEndSentencePunctuation(arr) {
   }
   return sentenceArray;
 }
+function addEndSentencePunctuationDot(arr) {
+  const sentenceArray = [...arr];
+  sentenceArray[sentenceArray.length - 1] += '.';
+  return sentenceArray;
+}
 function addMidSentencePunctuation(arr) {
   const sentenceArray = [...arr];
-  if (sentenceArray.length > 8 && Math.random() < 0.8) {
+  if (sentenceArray.length > 8 && Object.keys(punctuation.mid).length > 0 && random() < punctuation.midProbability) {
     // punctuation will be placed at a minimum the fourth word
     // and at a maximum at the fourth to last word
-    const subarray = sentenceArray.slice(3, sentenceArray.length - 3);
+    // (indexes are used instead of words, because markov chains may repeat words in a sentence)
+    const subarrayIndexes = Array.from({
+      length: sentenceArray.length - 6
+    }).map((_, i) => i + 3);
     const randomPunctuation = getRandomPunctuation('mid');
     if (/,|:|;/.test(randomPunctuation)) {
       //  simple punctuation won't be placed between stopwords or numbers
-      const filtered = subarray.filter(word => {
-        const nextWord = sentenceArray[sentenceArray.indexOf(word) + 1];
-        return [word, nextWord].every(w => !isStopword(w) && !isNumeric(w));
-      });
+      const filtered = subarrayIndexes.filter(index => [sentenceArray[index], sentenceArray[index + 1]].every(w => !isStopword(w) && !isNumeric(w)));
       if (filtered.length > 0) {
-        const randomWord = getRandomArrayElement(filtered);
-        sentenceArray[sentenceArray.indexOf(randomWord)] += randomPunctuation;
+        const randomIndex = getRandomArrayElement(filtered);
+        sentenceArray[randomIndex] += randomPunctuation;
       }
     } else {
       // enclosing punctuation won't be placed between stopwords
-      const punctuationStartIndex = sentenceArray.indexOf(
-      // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
-      subarray.find(word => {
-        const previousWord = sentenceArray[sentenceArray.indexOf(word) - 1];
-        return !isStopword(previousWord) && !isStopword(word);
-      }));
-      const punctuationEndIndex = punctuationStartIndex === -1 ? -1 : sentenceArray.indexOf(
-      // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
-      [...subarray].slice(subarray.indexOf(sentenceArray[punctuationStartIndex])).reverse().find(word => {
-        const nextWord = sentenceArray[sentenceArray.indexOf(word) + 1];
-        return !isStopword(word) && !isStopword(nextWord);
-      }));
+      const punctuationStartIndex = subarrayIndexes.find(index => !isStopword(sentenceArray[index - 1]) && !isStopword(sentenceArray[index])) ?? -1;
+      const punctuationEndIndex = punctuationStartIndex === -1 ? -1 : subarrayIndexes.filter(index => index >= punctuationStartIndex).reverse().find(index => !isStopword(sentenceArray[index]) && !isStopword(sentenceArray[index + 1])) ?? -1;
       if (punctuationStartIndex !== -1 && punctuationEndIndex !== -1) {
-        const [, openingPunctuation, closingPunctuation] = /(\(|\[|"|—\s)(\)|]|"|\s—)/.exec(randomPunctuation) || [];
+        const half = randomPunctuation.length / 2;
+        const openingPunctuation = randomPunctuation.slice(0, half);
+        const closingPunctuation = randomPunctuation.slice(half);
         sentenceArray[punctuationStartIndex] = `${openingPunctuation}${sentenceArray[punctuationStartIndex]}`;
         sentenceArray[punctuationEndIndex] += closingPunctuation;
       }
@@ -792,9 +2083,19 @@ function addMidSentencePunctuation(arr) {
   }
   return sentenceArray;
 }
+/** Prepend inverted mark (e.g. `¿`) to sentences ending with its respective mark, if language uses it. */
+function addInvertedPunctuation(arr) {
+  const sentenceArray = [...arr];
+  const endPunctuation = last(sentenceArray).slice(-1);
+  const invertedPunctuation = language.punctuation.invertedPunctuation?.[endPunctuation];
+  if (invertedPunctuation !== undefined) {
+    sentenceArray[0] = invertedPunctuation + sentenceArray[0];
+  }
+  return sentenceArray;
+}
 function capitalizeAndPunctuateSentence(arr) {
   const sentenceArray = [...arr];
-  return capitalizeSentence(addEndSentencePunctuation(addMidSentencePunctuation(sentenceArray)));
+  return addInvertedPunctuation(capitalizeSentence(addEndSentencePunctuation(addMidSentencePunctuation(sentenceArray))));
 }
 
 function isWordPlacementInvalid(randomWord, sentence, sentenceIntendedLength) {
@@ -821,92 +2122,611 @@ function getRandomWord(sentence, sentenceIntendedLength, getRandomArticleWord) {
     sentenceIntendedLength - sentence.length === 2 && sentence.slice(-2).every(word => !isStopword(word))) {
       randomWord = getRandomStopword();
     } else {
-      randomWord = Math.random() < 0.666 ? getRandomArticleWord() : getRandomStopword();
+      randomWord = random() < 0.666 ? getRandomArticleWord() : getRandomStopword();
     }
   } while (isWordPlacementInvalid(randomWord, sentence, sentenceIntendedLength));
   return randomWord;
 }
 
-function generateTextArray(
-// TODO: rename function
-freqMap, distribution) {
+/** Words are picked independently, article words from `freqMap` and stopwords from the most common ones. */
+function createUnigramSentenceGenerator(freqMap) {
   const getRandomArticleWord = weightedRandomness(freqMap);
-  const textArray = distribution.map(paragraphBreakdown => paragraphBreakdown.map(sentenceIntendedLength => capitalizeAndPunctuateSentence(Array.from({
+  return sentenceIntendedLength => Array.from({
     length: sentenceIntendedLength
-  }).reduce(sentence => sentence.concat(getRandomWord(sentence, sentenceIntendedLength, getRandomArticleWord)), []))));
-  return textArray;
+  }).reduce(sentence => sentence.concat(getRandomWord(sentence, sentenceIntendedLength, getRandomArticleWord)), []);
 }
 
-const stringifyParagraph = paragraph => paragraph.map(sentence => sentence.join(' ')).join(' ');
-function stringifyTextArray(textArray, format) {
-  const text = textArray.map(paragraph => format === 'plain' ? stringifyParagraph(paragraph) : `<p>${stringifyParagraph(paragraph)}</p>`).join(format === 'plain' ? '\n' : '');
-  return text;
+/**
+ * **markovChain** example (order 2): `{ 'of the': { house: 3, family: 1 } }`,
+ * i.e. how many times each word follows the `order` words before it.
+ */
+function generateMarkovChain(wordsArray, order) {
+  const chain = new Map();
+  for (let i = order; i < wordsArray.length; i += 1) {
+    const state = wordsArray.slice(i - order, i).join(' ');
+    const transitions = chain.get(state) || new Map();
+    transitions.set(wordsArray[i], (transitions.get(wordsArray[i]) || 0) + 1);
+    chain.set(state, transitions);
+  }
+  return chain;
 }
-
-function validateFormat(format) {
-  const errors = [];
-  if (!(format === 'plain' || format === 'html')) {
-    errors.push(invalidFormat);
+function getWeightedRandomTransition(transitions) {
+  const total = [...transitions.values()].reduce((acc, count) => acc + count, 0);
+  let range = random() * total;
+  return [...transitions.keys()].find(word => {
+    range -= transitions.get(word);
+    return range < 0;
+  }) ?? last([...transitions.keys()]);
+}
+/**
+ * Words are picked by walking a markov chain built from the article (stopwords included),
+ * the walk continues from one sentence to the next and restarts at a random spot on dead ends.
+ */
+function createMarkovSentenceGenerator(wordsArray, order) {
+  if (wordsArray.length <= order) {
+    throw new CustomError(notEnoughWordsInWordsArray(order + 1, wordsArray.length), 'fullfiller', 'not-enough-words-in-words-array');
   }
-  return errors;
+  const chain = generateMarkovChain(wordsArray, order);
+  let state = [];
+  // every state starting at these indexes has at least one transition
+  const restart = () => {
+    const index = getRandomNumber(0, wordsArray.length - order - 1);
+    return wordsArray.slice(index, index + order);
+  };
+  return sentenceIntendedLength => {
+    const sentence = [];
+    while (sentence.length < sentenceIntendedLength) {
+      const transitions = chain.get(state.join(' '));
+      if (state.length < order || transitions === undefined) {
+        state = restart();
+      } else {
+        // last word in sentence must not be stopword (if there's any other option)
+        const isLast = sentence.length === sentenceIntendedLength - 1;
+        const nonStopwords = new Map([...transitions].filter(([word]) => !isStopword(word)));
+        const word = getWeightedRandomTransition(isLast && nonStopwords.size > 0 ? nonStopwords : transitions);
+        sentence.push(word);
+        state = [...state.slice(1), word];
+      }
+    }
+    return sentence;
+  };
 }
-
-function isInputQueryString(input) {
-  return typeof input === 'string';
+function createSentenceGenerator({
+  map,
+  words
+}, {
+  mode,
+  order
+}) {
+  return mode === 'markov' ? createMarkovSentenceGenerator(words, order) : createUnigramSentenceGenerator(map);
 }
-function isInputText(input) {
-  return isObject(input) && Object.keys(input).length === 2 && typeof input.title === 'string' && typeof input.body === 'string';
+
+/**
+ * Lazily generate paragraphs.
+ * @param generateSentence Function receiving sentence length and returning array of words.
+ * @param distribution Any iterable of paragraphs breakdowns (see `distribute`).
+ * @yields Paragraph, i.e. array of sentences (each sentence is an array of words).
+ */
+function* generateParagraphs(generateSentence, distribution) {
+  for (const paragraphBreakdown of distribution) {
+    yield paragraphBreakdown.map(sentenceIntendedLength => capitalizeAndPunctuateSentence(generateSentence(sentenceIntendedLength)));
+  }
 }
-function isInputWordsArray(input) {
-  return isObject(input) && Object.keys(input).length === 2 && typeof input.title === 'string' && Array.isArray(input.words) && input.words.every(word => typeof word === 'string');
+function generateTextArray(
+// TODO: rename function
+generateSentence, distribution) {
+  const textArray = [...generateParagraphs(generateSentence, distribution)];
+  return textArray;
 }
-function isInputFreqMap(input) {
-  return isObject(input) && Object.keys(input).length === 2 && typeof input.title === 'string' && isObject(input.map) && Object.keys(input.map).every(key => /^\d+$/.test(key)) && Object.values(input.map).every(value => Array.isArray(value) && value.every(el => typeof el === 'string'));
+
+/** Short title-cased phrase (e.g. `Roast and Espresso`) made of freqMap words. */
+function generateHeading(getRandomArticleWord) {
+  const words = [...new Set(Array.from({
+    length: getRandomNumber(1, 3)
+  }).map(() => getRandomArticleWord()))].filter(word => !isNumeric(word)).map(capitalize);
+  if (words.length === 0) return capitalize(getRandomArticleWord());
+  return words.join(' ');
+}
+/** Headings are made of keywords only, but freqMap inputs (e.g. words arrays) may contain stopwords. */
+function removeStopwordsFromFreqMap(freqMap) {
+  const filtered = Object.fromEntries(Object.entries(freqMap).map(([weight, tier]) => [weight, tier.filter(word => !isStopword(word))]).filter(([, tier]) => tier.length > 0));
+  return Object.keys(filtered).length > 0 ? filtered : freqMap;
 }
-function validateInput(input) {
-  const errors = [];
-  const isQueryString = isInputQueryString(input);
-  const isText = isInputText(input);
-  const isWordsArray = isInputWordsArray(input);
-  const isFreqMap = isInputFreqMap(input);
-  if (!(isQueryString || isText || isWordsArray || isFreqMap) // invalid input
-  ) {
-    errors.push(invalidInput);
-  } else {
-    // additional errors for specific input types
-    if (isQueryString && input === '') {
-      errors.push(emptyQueryString);
+/**
+ * Turn text array into a document: headings are interleaved and some paragraphs become lists or blockquotes.
+ * Every block is an object containing `type` (heading, paragraph, list or blockquote).
+ * @param textArray Text array generated by `generateTextArray`.
+ * @param freqMap Headings are generated from it when `sections` run out.
+ * @param sections Article sections (see `extractSectionsFromBody`), used in order as headings.
+ * @returns Array of blocks.
+ */
+function structureDocument(textArray, freqMap, sections = []) {
+  const getRandomArticleWord = weightedRandomness(removeStopwordsFromFreqMap(freqMap));
+  const remainingSections = [...sections];
+  let currentLevel = 2;
+  return textArray.reduce((blocks, paragraph, index) => {
+    const previous = last(blocks);
+    // document always starts with a paragraph (just like a Wikipedia article summary)
+    // and a new section is started every 1-4 paragraphs
+    if (index > 0 && previous.type !== 'heading' && random() < 0.4) {
+      const section = remainingSections.shift();
+      // level 3 headings only go inside level 2 sections
+      const level = section?.level ?? (currentLevel === 2 && random() < 0.3 ? 3 : 2);
+      currentLevel = level;
+      blocks.push({
+        type: 'heading',
+        level,
+        text: section?.title ?? generateHeading(getRandomArticleWord)
+      });
     }
-    if (isText) {
-      const wordsQuantityMinRequired = 150;
-      const wordsQuantity = input.body.split(' ').length;
-      if (wordsQuantity < wordsQuantityMinRequired) {
-        errors.push(textTooShort);
-      }
+    const canBeConverted = index > 0 && last(blocks).type === 'paragraph';
+    const chance = random();
+    if (canBeConverted && chance < 0.15) {
+      blocks.push({
+        type: 'list',
+        ordered: random() < 0.5,
+        items: paragraph
+      });
+    } else if (canBeConverted && chance < 0.25) {
+      blocks.push({
+        type: 'blockquote',
+        sentences: paragraph
+      });
+    } else {
+      blocks.push({
+        type: 'paragraph',
+        sentences: paragraph
+      });
     }
-  }
-  return errors;
+    return blocks;
+  }, []);
 }
 
-function getType(value) {
-  return Array.isArray(value) ? 'array' : typeof value;
+const stripPunctuation = word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+/** Non-numeric freqMap words grouped by length (e.g. `{ 3: ['foo', 'bar'] }`). */
+function getWordsByLength(freqMap) {
+  return Object.values(freqMap).flat().filter(word => !isNumeric(word)).reduce((wordsByLength, word) => {
+    wordsByLength.set(word.length, (wordsByLength.get(word.length) || []).concat(word));
+    return wordsByLength;
+  }, new Map());
 }
-function validateQuantity(quantity, unit, sentencesPerParagraph, wordsPerSentence) {
-  const errors = [];
-  const type = getType(quantity);
-  if (type !== 'number' || Number.isNaN(quantity)) {
-    errors.push(quantityNotNumber);
-  }
-  // if (type === 'number' && (unit === 'words' || unit === 'paragraphs')) {
+/**
+ * Make `words` joined by spaces be exactly `length` characters long, by appending one or two words
+ * or by replacing the last one, removing words from the end if needed. Last word is never a stopword.
+ * @returns Array of words or `undefined` if it was impossible.
+ */
+function fillWords(words, length, wordsByLength) {
+  const isUsed = (word, used) => used.some(w => w.toLowerCase() === word.toLowerCase());
+  const getWordOfLength = (wordLength, used) => {
+    const candidates = (wordsByLength.get(wordLength) || []).filter(word => !isUsed(word, used));
+    return candidates.length > 0 ? getRandomArrayElement(candidates) : undefined;
+  };
+  // one or two words (joined by a space) whose total length is `wordsLength`
+  const getWordsOfLength = (wordsLength, used) => {
+    const single = getWordOfLength(wordsLength, used);
+    if (single !== undefined) return [single];
+    const firstLength = [...wordsByLength.keys()].find(key => wordsByLength.has(wordsLength - key - 1));
+    if (firstLength === undefined) return undefined;
+    const first = getWordOfLength(firstLength, used);
+    const second = first && getWordOfLength(wordsLength - firstLength - 1, [...used, first]);
+    return second !== undefined ? [first, second] : undefined;
+  };
+  const prefix = [...words];
+  while (prefix.join(' ').length > length) prefix.pop();
+  while (prefix.length > 0 && isStopword(last(prefix))) prefix.pop();
+  for (;;) {
+    const gap = length - prefix.join(' ').length;
+    if (gap === 0 && prefix.length > 0) return prefix;
+    const appended = getWordsOfLength(prefix.length > 0 ? gap - 1 : gap, prefix);
+    if (appended !== undefined) return [...prefix, ...appended];
+    if (prefix.length === 0) return undefined;
+    const replacement = getWordOfLength(last(prefix).length + gap, prefix);
+    if (replacement !== undefined) return [...prefix.slice(0, -1), replacement];
+    prefix.pop();
+  }
+}
+/**
+ * Cut text array, so its plain text (sentences separated by spaces, paragraphs by line breaks)
+ * is exactly `characters` long. Whole sentences are kept while they fit,
+ * then a last sentence is filled up with freqMap words and finished with a dot.
+ * @throws Error if there's no combination of words which fits.
+ */
+function fitTextArrayToCharacters(textArray, characters, freqMap) {
+  const wordsByLength = getWordsByLength(freqMap);
+  const sentences = textArray.flatMap((paragraph, paragraphIndex) => paragraph.map((sentence, sentenceIndex) => ({
+    sentence,
+    paragraphIndex,
+    // separator (space or line break) is counted along with sentence it precedes
+    length: sentence.join(' ').length + (sentenceIndex === 0 && paragraphIndex === 0 ? 0 : 1)
+  })));
+  const kept = [];
+  let used = 0;
+  while (kept.length < sentences.length && used + sentences[kept.length].length <= characters) {
+    used += sentences[kept.length].length;
+    kept.push(sentences[kept.length]);
+    if (used === characters) break;
+  }
+  // if last sentence can't be filled, it's built again from the previous sentence's words
+  let lastSentence;
+  while (used < characters && lastSentence === undefined) {
+    const next = sentences[kept.length];
+    if (next === undefined) throw new CustomError(charactersUnreachable(characters), 'fullfiller', 'characters-unreachable');
+    const separator = kept.length === 0 ? 0 : 1;
+    const words = next.sentence.map(stripPunctuation).filter(word => word !== '');
+    const filled = characters - used - separator - 1 >= 1 ? fillWords(words, characters - used - separator - 1, wordsByLength) : undefined;
+    if (filled !== undefined) {
+      lastSentence = {
+        ...next,
+        sentence: capitalizeSentence(addEndSentencePunctuationDot(filled))
+      };
+    } else {
+      if (kept.length === 0) throw new CustomError(charactersUnreachable(characters), 'fullfiller', 'characters-unreachable');
+      used -= kept.pop().length;
+    }
+  }
+  return [...kept, ...(lastSentence ? [lastSentence] : [])].reduce((paragraphs, {
+    sentence,
+    paragraphIndex
+  }) => {
+    if (paragraphs.length === 0 || last(paragraphs).paragraphIndex !== paragraphIndex) {
+      paragraphs.push({
+        paragraphIndex,
+        sentences: []
+      });
+    }
+    last(paragraphs).sentences.push(sentence);
+    return paragraphs;
+  }, []).map(paragraph => paragraph.sentences);
+}
+
+const stringifyParagraph = paragraph => paragraph.map(sentence => sentence.join(' ')).join(' ');
+const escapeMarkdown = text => text.replace(/[\\`*_[\]]/g, '\\$&');
+const htmlEntities = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;'
+};
+// text comes from user input or Wikipedia (e.g. section titles), so it must never become markup
+const escapeHtml = text => text.replace(/[&<>]/g, character => htmlEntities[character]);
+/** **wordsTiers** example: `{ foo: 1, bar: 3 }`, i.e. freqMap with words as keys. */
+function getWordsTiers(freqMap) {
+  return new Map(Object.entries(freqMap).flatMap(([weight, tier]) => tier.map(word => [word, Number(weight)])));
+}
+/** Find the freqMap tier of a word which may be capitalized and/or punctuated. */
+function getWordTier(word, wordsTiers) {
+  const bare = word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}.]+$/gu, '');
+  const candidates = [bare, bare.replace(/\.+$/, ''), bare.toLowerCase(), bare.replace(/\.+$/, '').toLowerCase()];
+  const tier = candidates.map(candidate => wordsTiers.get(candidate)).find(weight => weight !== undefined);
+  return tier ?? null;
+}
+function structureSentence(sentence, wordsTiers) {
+  return {
+    text: sentence.join(' '),
+    words: sentence.map(word => {
+      const stopword = isStopword(word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''));
+      return {
+        text: word,
+        tier: stopword ? null : getWordTier(word, wordsTiers),
+        stopword
+      };
+    })
+  };
+}
+/**
+ * Convert text array into paragraphs → sentences → words objects.
+ * Words contain their freqMap tier (`null` for stopwords, which don't come from freqMap).
+ */
+function structureTextArray(textArray, freqMap) {
+  const wordsTiers = getWordsTiers(freqMap);
+  return {
+    paragraphs: textArray.map(paragraph => ({
+      sentences: paragraph.map(sentence => structureSentence(sentence, wordsTiers))
+    }))
+  };
+}
+/** Same as `structureTextArray`, but for documents (see `structureDocument`). */
+function structureDocumentBlocks(blocks, freqMap) {
+  const wordsTiers = getWordsTiers(freqMap);
+  return {
+    blocks: blocks.map(block => {
+      if (block.type === 'heading') return block;
+      if (block.type === 'list') {
+        return {
+          ...block,
+          items: block.items.map(sentence => structureSentence(sentence, wordsTiers))
+        };
+      }
+      return {
+        ...block,
+        sentences: block.sentences.map(sentence => structureSentence(sentence, wordsTiers))
+      };
+    })
+  };
+}
+/**
+ * @param textArray Each nested array is a paragraph, each of its nested arrays is a sentence.
+ * @param format Output format.
+ * @param freqMap Only required by `json` format.
+ * @returns Text string or, if format is `json`, paragraphs object.
+ */
+function stringifyTextArray(textArray, format, freqMap) {
+  if (format === 'json') return structureTextArray(textArray, freqMap);
+  return textArray.map(paragraph => stringifyParagraphChunk(paragraph, format)).join(paragraphsSeparators[format]);
+}
+// put between stringified paragraphs (html ones are already delimited by their tags)
+const paragraphsSeparators = {
+  plain: '\n',
+  html: '',
+  markdown: '\n\n'
+};
+/**
+ * Stringify a single paragraph, so that joining every chunk with `paragraphsSeparators[format]`
+ * results in the same text as `stringifyTextArray` would.
+ */
+function stringifyParagraphChunk(paragraph, format) {
+  if (format === 'html') return `<p>${escapeHtml(stringifyParagraph(paragraph))}</p>`;
+  if (format === 'markdown') return escapeMarkdown(stringifyParagraph(paragraph));
+  return stringifyParagraph(paragraph);
+}
+const stringifyListItems = (items, ordered, prefix = (_, i) => ordered ? `${i + 1}. ` : '- ') => items.map((item, i) => prefix(item, i) + item.join(' '));
+const blockStringifiers = {
+  plain: {
+    heading: ({
+      text
+    }) => text,
+    paragraph: ({
+      sentences
+    }) => stringifyParagraph(sentences),
+    list: ({
+      items,
+      ordered
+    }) => stringifyListItems(items, ordered).join('\n'),
+    blockquote: ({
+      sentences
+    }) => `    ${stringifyParagraph(sentences)}`
+  },
+  html: {
+    heading: ({
+      level,
+      text
+    }) => `<h${level}>${escapeHtml(text)}</h${level}>`,
+    paragraph: ({
+      sentences
+    }) => `<p>${escapeHtml(stringifyParagraph(sentences))}</p>`,
+    list: ({
+      items,
+      ordered
+    }) => `<${ordered ? 'ol' : 'ul'}>${items.map(item => `<li>${escapeHtml(item.join(' '))}</li>`).join('')}</${ordered ? 'ol' : 'ul'}>`,
+    blockquote: ({
+      sentences
+    }) => `<blockquote><p>${escapeHtml(stringifyParagraph(sentences))}</p></blockquote>`
+  },
+  markdown: {
+    heading: ({
+      level,
+      text
+    }) => `${'#'.repeat(level)} ${escapeMarkdown(text)}`,
+    paragraph: ({
+      sentences
+    }) => escapeMarkdown(stringifyParagraph(sentences)),
+    list: ({
+      items,
+      ordered
+    }) => stringifyListItems(items.map(item => [escapeMarkdown(item.join(' '))]), ordered).join('\n'),
+    blockquote: ({
+      sentences
+    }) => `> ${escapeMarkdown(stringifyParagraph(sentences))}`
+  }
+};
+const blocksSeparators = {
+  plain: '\n',
+  html: '',
+  markdown: '\n\n'
+};
+/**
+ * Same as `stringifyTextArray`, but for documents (see `structureDocument`).
+ * @returns Text string or, if format is `json`, blocks object.
+ */
+function stringifyDocument(blocks, format, freqMap) {
+  if (format === 'json') return structureDocumentBlocks(blocks, freqMap);
+  return blocks.map(block => blockStringifiers[format][block.type](block)).join(blocksSeparators[format]);
+}
+
+const round = n => Math.round(n * 100) / 100;
+/** Vowel groups, minus a silent final `e` (e.g. `make`, but not `table`). English heuristic, at least 1. */
+function countSyllables(word) {
+  const lowercase = word.toLowerCase();
+  const vowelGroups = lowercase.match(/[aeiouyà-öø-ÿ]+/g)?.length ?? 0;
+  const silentE = vowelGroups > 1 && /[^aeiouy]e$/.test(lowercase) && !/[^aeiouy]le$/.test(lowercase) ? 1 : 0;
+  return Math.max(1, vowelGroups - silentE);
+}
+/**
+ * Split text into a text array (paragraphs of sentences of words), same shape as `generateTextArray`'s.
+ * Paragraphs are separated by line breaks and sentences end at `.`, `!`, `?` or `…` (closing quotes & brackets included).
+ */
+function parseTextArray(text) {
+  return text.split(/\n+/).map(paragraph => (paragraph.match(/[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)/g) ?? []).map(sentence => sentence.trim().split(/\s+/).filter(word => word !== '')).filter(sentence => sentence.length > 0)).filter(paragraph => paragraph.length > 0);
+}
+/**
+ * Measure density & readability of a text array (see `generateTextArray`), so filler can be compared to the copy it replaces.
+ * Words are counted without punctuation (e.g. a standalone dash isn't a word) and stopwords depend on current language.
+ * Readability scores use Flesch's (English) formulas: reading ease (higher is easier) and Flesch–Kincaid grade level.
+ */
+function getTextStats(textArray) {
+  // punctuation-only fragments (e.g. ` — !`) aren't sentences, nor paragraphs made only of them
+  const paragraphsWords = textArray.map(paragraph => paragraph.map(sentence => sentence.join(' ').split(/\s+/).map(stripPunctuation).filter(word => word !== '')).filter(sentenceWords => sentenceWords.length > 0)).filter(paragraph => paragraph.length > 0);
+  const sentencesWords = paragraphsWords.flat();
+  const words = sentencesWords.flat();
+  const sentencesLengths = sentencesWords.map(sentenceWords => sentenceWords.length);
+  const text = textArray.map(stringifyParagraph).join('\n');
+  const wordsPerSentence = words.length / sentencesWords.length;
+  const syllablesPerWord = words.reduce((acc, word) => acc + countSyllables(word), 0) / words.length;
+  return {
+    words: words.length,
+    sentences: sentencesWords.length,
+    paragraphs: paragraphsWords.length,
+    characters: text.length,
+    charactersWithoutSpaces: text.replace(/\s/g, '').length,
+    sentenceLength: {
+      average: round(wordsPerSentence),
+      min: Math.min(...sentencesLengths),
+      max: Math.max(...sentencesLengths),
+      // sentence length (in words) => quantity of sentences
+      distribution: Object.fromEntries(sentencesLengths.reduce((acc, length) => acc.set(length, (acc.get(length) ?? 0) + 1), new Map()))
+    },
+    stopwordRatio: round(words.filter(isStopword).length / words.length),
+    uniqueWordRatio: round(new Set(words.map(word => word.toLowerCase())).size / words.length),
+    fleschReadingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+    fleschKincaidGrade: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59)
+  };
+}
+
+function validateFormat(format) {
+  const errors = [];
+  if (!['plain', 'html', 'markdown', 'json'].includes(format)) {
+    errors.push({
+      code: 'invalid-format',
+      message: invalidFormat
+    });
+  }
+  return errors;
+}
+
+function isInputQueryString(input) {
+  return typeof input === 'string';
+}
+function isInputText(input) {
+  return isObject(input) && Object.keys(input).length === 2 && typeof input.title === 'string' && typeof input.body === 'string';
+}
+function isInputWordsArray(input) {
+  return isObject(input) && Object.keys(input).length === 2 && typeof input.title === 'string' && Array.isArray(input.words) && input.words.every(word => typeof word === 'string');
+}
+function isInputFreqMap(input) {
+  return isObject(input) && Object.keys(input).length === 2 && typeof input.title === 'string' && isObject(input.map) && Object.keys(input.map).every(key => /^\d+$/.test(key)) && Object.values(input.map).every(value => Array.isArray(value) && value.every(el => typeof el === 'string'));
+}
+/** Stored corpus profile (see `createCorpus`), e.g. `{ corpus: 'fintech' }`. */
+function isInputCorpus(input) {
+  return isObject(input) && Object.keys(input).length === 1 && typeof input.corpus === 'string';
+}
+function isCorpusIdValid(id) {
+  return typeof id === 'string' && /^[\w-]{1,64}$/.test(id);
+}
+/** Array of inputs or `{ input, weight }` objects, e.g. `[{ input: 'coffee', weight: 70 }, 'espresso machine']`. */
+function isInputBlend(input) {
+  return Array.isArray(input);
+}
+/** Blend sources are normalized to `{ input, weight }` (default weight is 1). */
+function getBlendSources(blend) {
+  return blend.map(source => isObject(source) && 'input' in source ? {
+    weight: 1,
+    ...source
+  } : {
+    input: source,
+    weight: 1
+  });
+}
+function validateBlend(blend) {
+  const sources = getBlendSources(blend);
+  if (sources.length === 0 || sources.some(({
+    input
+  }) => isInputBlend(input))) {
+    return [{
+      code: 'invalid-blend',
+      message: invalidBlend
+    }];
+  }
+  const errors = sources.flatMap(({
+    input
+  }) => validateInput(input));
+  if (sources.some(({
+    weight
+  }) => typeof weight !== 'number' || !(weight > 0))) {
+    errors.push({
+      code: 'invalid-blend-weight',
+      message: invalidBlendWeight
+    });
+  }
+  return errors;
+}
+function validateInput(input) {
+  if (isInputBlend(input)) return validateBlend(input);
+  const errors = [];
+  const isQueryString = isInputQueryString(input);
+  const isText = isInputText(input);
+  const isWordsArray = isInputWordsArray(input);
+  const isFreqMap = isInputFreqMap(input);
+  const isCorpus = isInputCorpus(input);
+  if (!(isQueryString || isText || isWordsArray || isFreqMap || isCorpus) // invalid input
+  ) {
+    errors.push({
+      code: 'invalid-input',
+      message: invalidInput
+    });
+  } else {
+    // additional errors for specific input types
+    if (isQueryString && input === '') {
+      errors.push({
+        code: 'empty-query-string',
+        message: emptyQueryString
+      });
+    }
+    if (isQueryString && isSpecialQuery(input) && !Object.prototype.hasOwnProperty.call(specialQueries, input)) {
+      errors.push({
+        code: 'invalid-special-query',
+        message: invalidSpecialQuery(Object.keys(specialQueries))
+      });
+    }
+    if (isCorpus && !isCorpusIdValid(input.corpus)) {
+      errors.push({
+        code: 'invalid-corpus-id',
+        message: invalidCorpusId
+      });
+    }
+    if (isText) {
+      const wordsQuantityMinRequired = 150;
+      const wordsQuantity = input.body.split(' ').length;
+      if (wordsQuantity < wordsQuantityMinRequired) {
+        errors.push({
+          code: 'text-too-short',
+          message: textTooShort
+        });
+      }
+    }
+  }
+  return errors;
+}
+
+function getType(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+function validateQuantity(quantity, unit, sentencesPerParagraph, wordsPerSentence) {
+  const errors = [];
+  const type = getType(quantity);
+  if (type !== 'number' || Number.isNaN(quantity)) {
+    errors.push({
+      code: 'quantity-not-number',
+      message: quantityNotNumber
+    });
+  }
+  // if (type === 'number' && (unit === 'words' || unit === 'paragraphs')) {
   //   const wordsPerParagraphMin =
   //     sentencesPerParagraphDefault.min * wordsPerSentenceDefault.min;
   //   const minimumQuantityAllowed = unit === 'words' ? wordsPerParagraphMin : 1;
   //   if (quantity < minimumQuantityAllowed) {
   //     errors.push(quantityTooSmall(minimumQuantityAllowed));
-  if (type === 'number' && (unit === 'words' || unit === 'paragraphs')) {
-    const minimumQuantityAllowed = unit === 'words' ? sentencesPerParagraph.min * wordsPerSentence.min : 1;
+  const minimumsQuantityAllowed = {
+    words: sentencesPerParagraph.min * wordsPerSentence.min,
+    sentences: sentencesPerParagraph.min,
+    paragraphs: 1,
+    characters: charactersMinimum
+  };
+  if (type === 'number' && unit in minimumsQuantityAllowed) {
+    const minimumQuantityAllowed = minimumsQuantityAllowed[unit];
     if (quantity < minimumQuantityAllowed) {
-      errors.push(quantityTooSmall(minimumQuantityAllowed));
+      errors.push({
+        code: 'quantity-too-small',
+        message: quantityTooSmall(minimumQuantityAllowed, unit)
+      });
     }
   }
   return errors;
@@ -915,17 +2735,39 @@ function validateQuantity(quantity, unit, sentencesPerParagraph, wordsPerSentenc
 function validateSentencesPerParagraph(sentencesPerParagraph) {
   const errors = [];
   const isSentencesPerParagraphValid = isObject(sentencesPerParagraph) && Object.keys(sentencesPerParagraph).length === 2 && typeof sentencesPerParagraph.min === 'number' && typeof sentencesPerParagraph.max === 'number';
-  if (!isSentencesPerParagraphValid) errors.push(invalidSentencesPerParagraph);
-  if (sentencesPerParagraph.min < 3) errors.push(sentencesPerParagraphMinTooSmall);
-  if (sentencesPerParagraph.max < 3) errors.push(sentencesPerParagraphMaxTooSmall);
-  if (sentencesPerParagraph.max < sentencesPerParagraph.min * 2 - 1) errors.push(invalidSentencesPerParagraphMax);
+  if (!isSentencesPerParagraphValid) errors.push({
+    code: 'invalid-sentences-per-paragraph',
+    message: invalidSentencesPerParagraph
+  });
+  if (sentencesPerParagraph.min < 3) errors.push({
+    code: 'sentences-per-paragraph-min-too-small',
+    message: sentencesPerParagraphMinTooSmall
+  });
+  if (sentencesPerParagraph.max < 3) errors.push({
+    code: 'sentences-per-paragraph-max-too-small',
+    message: sentencesPerParagraphMaxTooSmall
+  });
+  if (sentencesPerParagraph.max < sentencesPerParagraph.min * 2 - 1) errors.push({
+    code: 'invalid-sentences-per-paragraph-max',
+    message: invalidSentencesPerParagraphMax
+  });
   return errors;
 }
 
-function validateUnit(unit) {
+function validateUnit(unit, format, structure) {
   const errors = [];
-  if (unit !== 'words' && unit !== 'paragraphs') {
-    errors.push(invalidUnit);
+  if (!['words', 'sentences', 'paragraphs', 'characters'].includes(unit)) {
+    errors.push({
+      code: 'invalid-unit',
+      message: invalidUnit
+    });
+  }
+  // length is only exact on plain text, markup and headings aren't counted
+  if (unit === 'characters' && (format !== 'plain' || structure !== 'none')) {
+    errors.push({
+      code: 'invalid-characters-unit',
+      message: invalidCharactersUnit
+    });
   }
   return errors;
 }
@@ -933,37 +2775,581 @@ function validateUnit(unit) {
 function validateWordsPerSentence(wordsPerSentence) {
   const errors = [];
   const isWordsPerSentenceValid = isObject(wordsPerSentence) && Object.keys(wordsPerSentence).length === 2 && typeof wordsPerSentence.min === 'number' && typeof wordsPerSentence.max === 'number';
-  if (!isWordsPerSentenceValid) errors.push(invalidWordsPerSentence);
-  if (wordsPerSentence.min < 3) errors.push(wordsPerSentenceMinTooSmall);
-  if (wordsPerSentence.max < 3) errors.push(wordsPerSentenceMaxTooSmall);
-  if (wordsPerSentence.max < wordsPerSentence.min * 2 - 1) errors.push(invalidWordsPerSentenceMax);
+  if (!isWordsPerSentenceValid) errors.push({
+    code: 'invalid-words-per-sentence',
+    message: invalidWordsPerSentence
+  });
+  if (wordsPerSentence.min < 3) errors.push({
+    code: 'words-per-sentence-min-too-small',
+    message: wordsPerSentenceMinTooSmall
+  });
+  if (wordsPerSentence.max < 3) errors.push({
+    code: 'words-per-sentence-max-too-small',
+    message: wordsPerSentenceMaxTooSmall
+  });
+  if (wordsPerSentence.max < wordsPerSentence.min * 2 - 1) errors.push({
+    code: 'invalid-words-per-sentence-max',
+    message: invalidWordsPerSentenceMax
+  });
+  return errors;
+}
+
+function validateLanguage(languageCode) {
+  const errors = [];
+  if (!Object.prototype.hasOwnProperty.call(languages, languageCode)) {
+    errors.push({
+      code: 'invalid-language',
+      message: invalidLanguage(Object.keys(languages))
+    });
+  }
+  return errors;
+}
+
+function validateStructure(structure) {
+  const errors = [];
+  if (!['none', 'document', 'article'].includes(structure)) {
+    errors.push({
+      code: 'invalid-structure',
+      message: invalidStructure
+    });
+  }
+  return errors;
+}
+
+function validateOnDisambiguation(onDisambiguation) {
+  return onDisambiguationOptions.includes(onDisambiguation) ? [] : [{
+    code: 'invalid-on-disambiguation',
+    message: invalidOnDisambiguation(onDisambiguationOptions)
+  }];
+}
+
+function validateAutocorrect(autocorrect) {
+  return typeof autocorrect === 'boolean' ? [] : [{
+    code: 'invalid-autocorrect',
+    message: invalidAutocorrect
+  }];
+}
+
+function validateSource(source) {
+  return sourceAdapters.has(source) ? [] : [{
+    code: 'invalid-source',
+    message: invalidSource([...sourceAdapters.keys()])
+  }];
+}
+
+function validateExpand(expand, depth, input, source) {
+  const errors = [];
+  if (!expandOptions.includes(expand)) {
+    errors.push({
+      code: 'invalid-expand',
+      message: invalidExpand(expandOptions)
+    });
+  }
+  if (!(Number.isInteger(depth) && depth >= 1 && depth <= expandDepthMax)) {
+    errors.push({
+      code: 'invalid-depth',
+      message: invalidDepth(expandDepthMax)
+    });
+  }
+  if (expand !== 'none' && expandOptions.includes(expand) && !(isInputQueryString(input) && parseSourceQuery(input, source).sourceName === 'wikipedia')) {
+    errors.push({
+      code: 'invalid-expand-input',
+      message: invalidExpandInput
+    });
+  }
+  return errors;
+}
+
+function validateMode(mode, order, input, options) {
+  const errors = [];
+  if (!['unigram', 'markov'].includes(mode)) {
+    errors.push({
+      code: 'invalid-mode',
+      message: invalidMode
+    });
+  }
+  if (mode === 'markov' && !(Number.isInteger(order) && order >= 1 && order <= 3)) {
+    errors.push({
+      code: 'invalid-order',
+      message: invalidOrder
+    });
+  }
+  // frequency maps have no words order to learn from
+  if (mode === 'markov' && (isInputFreqMap(input) || isInputCorpus(input) || isInputBlend(input))) {
+    errors.push({
+      code: 'invalid-markov-input',
+      message: invalidMarkovInput
+    });
+  }
+  // chain is learned from the words sequence, so there's no freqMap to shape
+  if (mode === 'markov' && (hasFreqMapOptions(options) || options.emphasizeBy !== optionsDefault$1.emphasizeBy)) {
+    errors.push({
+      code: 'invalid-markov-options',
+      message: invalidMarkovOptions
+    });
+  }
+  return errors;
+}
+
+function validateInclude(include) {
+  const errors = [];
+  if (!(Array.isArray(include) && include.every(item => includeOptions.includes(item)))) {
+    errors.push({
+      code: 'invalid-include',
+      message: invalidInclude(includeOptions)
+    });
+  }
+  return errors;
+}
+
+function validateFreqMapOptions({
+  emphasize: wordsToEmphasize,
+  emphasizeTopic,
+  emphasizeBy,
+  tierWeightMin,
+  tierWeightMax,
+  mergePosteriorTiersAt
+}) {
+  const errors = [];
+  const isPositiveInteger = n => Number.isInteger(n) && n > 0;
+  if (!(Array.isArray(wordsToEmphasize) && wordsToEmphasize.every(word => typeof word === 'string'))) {
+    errors.push({
+      code: 'invalid-emphasize',
+      message: invalidEmphasize
+    });
+  }
+  if (typeof emphasizeTopic !== 'boolean') {
+    errors.push({
+      code: 'invalid-emphasize-topic',
+      message: invalidEmphasizeTopic
+    });
+  }
+  if (!(typeof emphasizeBy === 'number' && emphasizeBy > 0)) {
+    errors.push({
+      code: 'invalid-emphasize-by',
+      message: invalidEmphasizeBy
+    });
+  }
+  if (!isPositiveInteger(tierWeightMin)) {
+    errors.push({
+      code: 'invalid-tier-weight-min',
+      message: invalidTierWeightMin
+    });
+  }
+  if (!(tierWeightMax === -1 || isPositiveInteger(tierWeightMax) && tierWeightMax >= tierWeightMin)) {
+    errors.push({
+      code: 'invalid-tier-weight-max',
+      message: invalidTierWeightMax
+    });
+  }
+  if (!(mergePosteriorTiersAt === -1 || isPositiveInteger(mergePosteriorTiersAt))) {
+    errors.push({
+      code: 'invalid-merge-posterior-tiers-at',
+      message: invalidMergePosteriorTiersAt
+    });
+  }
+  return errors;
+}
+
+/** Positive integer weights => non-empty arrays of non-empty marks (same shape as freqMaps). */
+function isPunctuationWeightMap(weightMap) {
+  return isObject(weightMap) && Object.entries(weightMap).every(([weight, tier]) => /^[1-9]\d*$/.test(weight) && Array.isArray(tier) && tier.length > 0 && tier.every(mark => typeof mark === 'string' && mark !== ''));
+}
+function validatePunctuation(punctuationOption) {
+  const presetsList = Object.keys(punctuationPresets);
+  if (typeof punctuationOption === 'string') {
+    return presetsList.includes(punctuationOption) ? [] : [{
+      code: 'invalid-punctuation',
+      message: invalidPunctuation(presetsList)
+    }];
+  }
+  if (!isObject(punctuationOption) || Object.keys(punctuationOption).some(key => !['preset', 'end', 'mid', 'midProbability'].includes(key))) {
+    return [{
+      code: 'invalid-punctuation',
+      message: invalidPunctuation(presetsList)
+    }];
+  }
+  const {
+    preset,
+    end,
+    mid,
+    midProbability
+  } = punctuationOption;
+  const errors = [];
+  if (preset !== undefined && !presetsList.includes(preset)) {
+    errors.push({
+      code: 'invalid-punctuation-preset',
+      message: invalidPunctuationPreset(presetsList)
+    });
+  }
+  if (end !== undefined && !(isPunctuationWeightMap(end) && Object.keys(end).length > 0)) {
+    errors.push({
+      code: 'invalid-punctuation-end',
+      message: invalidPunctuationEnd
+    });
+  }
+  // enclosing marks (not containing `,`, `;` or `:`) are split in half, e.g. `()` => `(` & `)`
+  if (mid !== undefined && !(isPunctuationWeightMap(mid) && Object.values(mid).flat().every(mark => /,|:|;/.test(mark) || mark.length % 2 === 0))) {
+    errors.push({
+      code: 'invalid-punctuation-mid',
+      message: invalidPunctuationMid
+    });
+  }
+  if (midProbability !== undefined && !(typeof midProbability === 'number' && midProbability >= 0 && midProbability <= 1)) {
+    errors.push({
+      code: 'invalid-punctuation-mid-probability',
+      message: invalidPunctuationMidProbability
+    });
+  }
   return errors;
 }
 
-function validate(input, {
+function validateSeed(seed) {
+  const errors = [];
+  if (!(typeof seed === 'string' && seed !== '' || Number.isInteger(seed))) {
+    errors.push({
+      code: 'invalid-seed',
+      message: invalidSeed
+    });
+  }
+  return errors;
+}
+
+function validate(input, options, include = []) {
+  const {
+    unit,
+    quantity,
+    format,
+    sentencesPerParagraph,
+    wordsPerSentence,
+    language: languageCode,
+    structure,
+    mode,
+    order,
+    expand,
+    depth,
+    source,
+    onDisambiguation,
+    autocorrect,
+    punctuation: punctuationOption,
+    seed
+  } = options;
+  const errors = [].concat(validateInput(input), validateUnit(unit, format, structure), validateQuantity(quantity, unit, sentencesPerParagraph, wordsPerSentence), validateFormat(format), validateSentencesPerParagraph(sentencesPerParagraph), validateWordsPerSentence(wordsPerSentence), validateLanguage(languageCode), validateStructure(structure), validateMode(mode, order, input, options), validateSource(source), validateOnDisambiguation(onDisambiguation), validateAutocorrect(autocorrect), validateExpand(expand, depth, input, source), validatePunctuation(punctuationOption), validateSeed(seed), validateInclude(include), validateFreqMapOptions(options));
+  if (errors.length > 0) {
+    throw new CustomError(`[ ${errors.map(error => error.message).join(', ')} ]`, 'fullfiller', 'validation-failed', {
+      errors
+    });
+  }
+}
+
+/** Options which require the whole text to be generated at once can't be streamed. */
+function validateStream({
   unit,
-  quantity,
   format,
-  sentencesPerParagraph,
-  wordsPerSentence
-}) {
-  const errors = [].concat(validateInput(input), validateUnit(unit), validateQuantity(quantity, unit, sentencesPerParagraph, wordsPerSentence), validateFormat(format), validateSentencesPerParagraph(sentencesPerParagraph), validateWordsPerSentence(wordsPerSentence));
-  if (errors.length > 0) throw new CustomError(`[ ${errors.join(', ')} ]`, 'fullfiller');
+  structure
+}, include) {
+  const errors = [];
+  if (!['plain', 'html', 'markdown'].includes(format)) {
+    errors.push({
+      code: 'invalid-stream-format',
+      message: invalidStreamFormat
+    });
+  }
+  if (unit === 'characters') {
+    errors.push({
+      code: 'invalid-stream-unit',
+      message: invalidStreamUnit
+    });
+  }
+  if (structure !== 'none') {
+    errors.push({
+      code: 'invalid-stream-structure',
+      message: invalidStreamStructure
+    });
+  }
+  if (include.includes('stats')) {
+    errors.push({
+      code: 'invalid-stream-include',
+      message: invalidStreamInclude
+    });
+  }
+  if (errors.length > 0) {
+    throw new CustomError(`[ ${errors.map(error => error.message).join(', ')} ]`, 'fullfiller', 'validation-failed', {
+      errors
+    });
+  }
 }
 
 /** @returns one of the possible input types. See more at {@link inputType}. */
 function getInputType(input) {
   if (typeof input === 'string') return 'query';
+  if (Array.isArray(input)) return 'blend';
   if ('body' in input) return 'text';
   if ('words' in input) return 'wordsArray';
   if ('map' in input) return 'freqMap';
+  if ('corpus' in input) return 'corpus';
   return undefined;
 }
+/** Words (stopwords included) of a fetched article, in order, cached by its title (used by markov chains). */
+async function getArticleWords(article, languageCode) {
+  return memoize(`words:${article.source}:${languageCode}:${article.title}`, () => tokenizeWords(article.body, {
+    language: languageCode,
+    keepStopwords: true
+  }));
+}
+/**
+ * Tokenizing and generating the freqMap of a long article is expensive,
+ * so the freqMap of every fetched article is cached by its title.
+ */
+async function getArticleFreqMap(article, languageCode) {
+  return memoize(`freqMap:${article.source}:${languageCode}:${article.title}`, () => generateFreqMap(tokenizeWords(article.body, {
+    language: languageCode
+  })));
+}
+/**
+ * Merge freqMaps, so that each one contributes to the result proportionally to its weight,
+ * regardless of how many words it has (i.e. relative frequencies are merged, not counts).
+ * @param sources Array of `{ map, weight }`.
+ * @returns freqMap.
+ */
+function blendFreqMaps(sources) {
+  const weightsSum = sources.reduce((acc, {
+    weight
+  }) => acc + weight, 0);
+  const counts = sources.map(({
+    map
+  }) => getWordsTiers(map));
+  const totals = counts.map(wordsCounts => [...wordsCounts.values()].reduce((acc, count) => acc + count, 0));
+  // relative frequencies are scaled back into (integer) counts
+  const scale = totals.reduce((acc, total) => acc + total, 0);
+  const blended = new Map();
+  counts.forEach((wordsCounts, i) => {
+    wordsCounts.forEach((count, word) => {
+      const share = sources[i].weight / weightsSum * (count / totals[i]);
+      blended.set(word, (blended.get(word) || 0) + share);
+    });
+  });
+  const freqMapWordAsKey = Object.fromEntries([...blended].map(([word, share]) => [word, Math.max(1, Math.round(share * scale))]));
+  return generateFreqMapWeightAsKey(freqMapWordAsKey);
+}
+/**
+ * Convert any of the input types into a freqMap input.
+ * @param input
+ * @param options
+ * - `language`: language code
+ * - `withWords`: also return `words`, the sequence of words (stopwords included) used by markov chains
+ * - `articleInclude`: article resources to fetch (query inputs only), returned as `resources`
+ * - `source`: source adapter used by query inputs not prefixed with a source name
+ * - `onDisambiguation`: what to do when a query points to a disambiguation page (see `getWikipediaArticle`)
+ * - `autocorrect`: retry queries without results using a spelling suggestion (see `getWikipediaArticle`)
+ * @returns Object containing `title`, `map` and, if input contains them, `sections`, `resources`, `disambiguation`, `correction` and `fallback`
+ *  or, if input is a blend, `titles` (one per source).
+ */
+async function resolveInput(input, {
+  language: languageCode = 'en',
+  withWords = false,
+  articleInclude = [],
+  source = defaultSourceName,
+  onDisambiguation = 'error',
+  autocorrect = false
+} = {}) {
+  switch (getInputType(input)) {
+    case 'query':
+      {
+        const article = await getSourceArticle(input, articleInclude, {
+          source,
+          language: languageCode,
+          onDisambiguation,
+          autocorrect
+        });
+        return {
+          title: article.title,
+          resources: Object.fromEntries(articleInclude.filter(resource => article[resource] !== undefined).map(resource => [resource, article[resource]])),
+          map: await getArticleFreqMap(article, languageCode),
+          sections: extractSectionsFromBody(article.body, 'plain'),
+          ...(article.disambiguation !== undefined ? {
+            disambiguation: article.disambiguation
+          } : {}),
+          ...(article.correction !== undefined ? {
+            correction: article.correction
+          } : {}),
+          ...(article.fallback !== undefined ? {
+            fallback: article.fallback
+          } : {}),
+          ...(withWords ? {
+            words: await getArticleWords(article, languageCode)
+          } : {})
+        };
+      }
+    case 'text':
+      return {
+        title: input.title,
+        map: generateFreqMap(tokenizeWords(input.body, {
+          language: languageCode
+        })),
+        sections: extractSectionsFromBody(input.body, 'plain'),
+        ...(withWords ? {
+          words: tokenizeWords(input.body, {
+            language: languageCode,
+            keepStopwords: true
+          })
+        } : {})
+      };
+    case 'wordsArray':
+      return {
+        title: input.title,
+        map: generateFreqMap(input.words),
+        words: input.words
+      };
+    case 'freqMap':
+      return input;
+    case 'corpus':
+      {
+        const {
+          title,
+          titles,
+          map
+        } = await getCorpus(input.corpus);
+        return {
+          title,
+          ...(titles !== undefined ? {
+            titles
+          } : {}),
+          map
+        };
+      }
+    case 'blend':
+      {
+        const sources = getBlendSources(input);
+        const resolved = await Promise.all(sources.map(({
+          input: sourceInput
+        }) => resolveInput(sourceInput, {
+          language: languageCode,
+          source,
+          onDisambiguation,
+          autocorrect
+        })));
+        const titles = resolved.map(({
+          title
+        }) => title);
+        return {
+          title: titles.join(', '),
+          titles,
+          map: blendFreqMaps(resolved.map(({
+            map
+          }, i) => ({
+            map,
+            weight: sources[i].weight
+          })))
+        };
+      }
+    default:
+      throw new CustomError(invalidInput, 'fullfiller', 'invalid-input');
+  }
+}
+// resources fetched along with the article (see `getWikipediaArticle`), only available for query inputs
+const articleResources = ['related', 'summary', 'categories', 'links', 'alias', 'label', 'description'];
+const includeOptions = ['title', 'freqMap', 'stats', ...articleResources];
+function getArticleInclude(include) {
+  return articleResources.filter(resource => include.includes(resource));
+}
+// articles (linked from or sharing categories with the root article) whose bodies can be added to its corpus
+const expandOptions = ['none', 'links', 'categories'];
+const expandDepthMax = 10; // linked articles fetched at most
+const expandCategoriesMax = 5; // categories whose articles are listed at most
+const expandLinksPagesMax = 3; // pages of (up to 500) links fetched at most
+const expandWeight = 0.5; // linked articles, together, weigh half as much as the root article
+/**
+ * Pick `depth` articles related to `title`.
+ * Links are ranked by how often they're mentioned in the article's body,
+ * categories are visited in order until enough articles are found.
+ */
+async function getExpansionTitles(title, expand, depth, languageCode) {
+  if (expand === 'links') {
+    const [links, body] = await Promise.all([getArticleLinks(title, languageCode, expandLinksPagesMax), getArticleBody(title, 'plain', languageCode)]);
+    const bodyLowercase = body.toLowerCase();
+    const mentions = link => bodyLowercase.split(link.toLowerCase()).length - 1;
+    return links.map(link => ({
+      link,
+      count: mentions(link)
+    })).sort((a, b) => b.count - a.count).slice(0, depth).map(({
+      link
+    }) => link);
+  }
+  const categories = (await getArticleCategories(title, languageCode)).slice(0, expandCategoriesMax);
+  const titles = new Set();
+  for (const category of categories) {
+    if (titles.size >= depth) break;
+    (await getCategoryArticles(category, depth + 1, languageCode)).filter(article => article !== title).forEach(article => titles.add(article));
+  }
+  return [...titles].slice(0, depth);
+}
+/**
+ * Blend the bodies of articles related to the root article into its corpus.
+ * At most `depth` articles are fetched; the ones that can't be used (e.g. disambiguation pages) are skipped.
+ * @returns Resolved input containing `contributors`, every article that contributed along with its weight.
+ */
+async function expandCorpus(resolved, {
+  expand,
+  depth,
+  language: languageCode
+}, withWords) {
+  const titles = await getExpansionTitles(resolved.title, expand, depth, languageCode);
+  const settled = await Promise.allSettled(titles.map(title => resolveInput(title, {
+    language: languageCode,
+    withWords,
+    source: 'wikipedia'
+  })));
+  const linked = settled.filter(({
+    status
+  }) => status === 'fulfilled').map(({
+    value
+  }) => value).filter(({
+    title
+  }, i, arr) => title !== resolved.title && arr.findIndex(other => other.title === title) === i);
+  const contributors = [{
+    title: resolved.title,
+    weight: 1
+  }, ...linked.map(({
+    title
+  }) => ({
+    title,
+    weight: expandWeight / linked.length
+  }))];
+  if (linked.length === 0) {
+    return {
+      ...resolved,
+      contributors
+    };
+  }
+  const sources = [resolved, ...linked];
+  return {
+    ...resolved,
+    map: blendFreqMaps(sources.map(({
+      map
+    }, i) => ({
+      map,
+      weight: contributors[i].weight
+    }))),
+    ...(withWords ? {
+      words: sources.flatMap(({
+        words
+      }) => words)
+    } : {}),
+    contributors
+  };
+}
+const quantityDefaults = {
+  words: 200,
+  sentences: 5,
+  paragraphs: 5,
+  characters: 280
+};
 // merge default options with options passed as argument
 function mergeOptions(optionsArg) {
   return {
     unit: optionsArg.unit ?? 'paragraphs',
-    quantity: optionsArg.quantity ?? (optionsArg.unit === 'words' ? 200 : 5),
+    quantity: optionsArg.quantity ?? quantityDefaults[optionsArg.unit] ?? 5,
     format: optionsArg.format ?? 'plain',
     sentencesPerParagraph: {
       ...sentencesPerParagraphDefault,
@@ -972,57 +3358,294 @@ function mergeOptions(optionsArg) {
     wordsPerSentence: {
       ...wordsPerSentenceDefault,
       ...optionsArg.wordsPerSentence
-    }
+    },
+    language: optionsArg.language ?? 'en',
+    // 'document' = interleave headings, lists & blockquotes; 'article' = same, but headings are article's sections
+    structure: optionsArg.structure ?? 'none',
+    // 'markov' = walk a chain of `order` words learned from input, instead of picking words independently
+    mode: optionsArg.mode ?? 'unigram',
+    order: optionsArg.order ?? 2,
+    source: optionsArg.source ?? defaultSourceName,
+    // 'error', 'first' or 'best' (see `getWikipediaArticle`)
+    onDisambiguation: optionsArg.onDisambiguation ?? 'error',
+    // retry queries without results using a spelling suggestion, instead of failing with suggestions
+    autocorrect: optionsArg.autocorrect ?? false,
+    expand: optionsArg.expand ?? 'none',
+    depth: optionsArg.depth ?? 3,
+    // freqMap options (see `generateFreqMap`)
+    // `emphasizeTopic` = also emphasize title words and, for query inputs, article's aliases & label
+    emphasize: optionsArg.emphasize ?? [],
+    emphasizeTopic: optionsArg.emphasizeTopic ?? false,
+    emphasizeBy: optionsArg.emphasizeBy ?? optionsDefault$1.emphasizeBy,
+    tierWeightMin: optionsArg.tierWeightMin ?? optionsDefault$1.tierWeightMin,
+    tierWeightMax: optionsArg.tierWeightMax ?? optionsDefault$1.tierWeightMax,
+    mergePosteriorTiersAt: optionsArg.mergePosteriorTiersAt ?? optionsDefault$1.mergePosteriorTiersAt,
+    // preset name ('default', 'formal', 'casual' or 'none') or `{ preset, end, mid, midProbability }` (see `punctuationPresets`)
+    punctuation: optionsArg.punctuation ?? 'default',
+    // a seed is always used (and returned), so any output can be reproduced later
+    seed: optionsArg.seed ?? generateSeed()
+  };
+}
+/**
+ * Keywords may be capitalized or not in freqMap, and may contain multiple words (e.g. `espresso machine`).
+ * @returns Every form in which keywords' words may appear in freqMap.
+ */
+function getWordsToEmphasize(keywords) {
+  return [...new Set(keywords.flatMap(keyword => keyword.split(/[^\p{L}\p{N}'-]+/u)).filter(word => word !== '' && !isStopword(word)).flatMap(word => [word, word.toLowerCase(), capitalize(word)]))];
+}
+function hasFreqMapOptions(options) {
+  return options.emphasize.length > 0 || options.emphasizeTopic || ['tierWeightMin', 'tierWeightMax', 'mergePosteriorTiersAt'].some(option => options[option] !== optionsDefault$1[option]);
+}
+/**
+ * Resolve input (see `resolveInput`) and, if required by options,
+ * expand its corpus, emphasize keywords and shorten tiers of its freqMap.
+ */
+async function resolveFreqMap(input, options, include) {
+  const withWords = options.mode === 'markov';
+  const articleInclude = [...new Set([...getArticleInclude(include), ...(options.emphasizeTopic ? ['alias', 'label'] : [])])];
+  const unexpanded = await resolveInput(input, {
+    language: options.language,
+    withWords,
+    articleInclude,
+    source: options.source,
+    onDisambiguation: options.onDisambiguation,
+    autocorrect: options.autocorrect
+  });
+  const resolved = options.expand === 'none' ? unexpanded : await expandCorpus(unexpanded, options, withWords);
+  if (!hasFreqMapOptions(options)) return resolved;
+  setLanguage(options.language);
+  const keywords = [...options.emphasize, ...(options.emphasizeTopic ? [resolved.title ?? '', ...(resolved.resources?.alias ?? []), ...(resolved.resources?.label ?? [])] : [])];
+  return {
+    ...resolved,
+    map: generateFreqMapFromWordAsKey(Object.fromEntries(getWordsTiers(resolved.map)), getWordsToEmphasize(keywords), {
+      emphasizeBy: options.emphasizeBy,
+      tierWeightMin: options.tierWeightMin,
+      tierWeightMax: options.tierWeightMax,
+      mergePosteriorTiersAt: options.mergePosteriorTiersAt,
+      wordsQuantityMin: 1
+    })
+  };
+}
+/** Corpus inputs are generated in the language of their profile, unless another one is given. */
+async function withCorpusLanguage(input, optionsArg) {
+  if (!isInputCorpus(input) || !isCorpusIdValid(input.corpus) || optionsArg.language !== undefined) return optionsArg;
+  return {
+    ...optionsArg,
+    language: (await getCorpus(input.corpus)).language
+  };
+}
+/** Every filler field besides `body`, depending on `include`. */
+function getFillerFields({
+  title,
+  titles,
+  contributors,
+  disambiguation,
+  correction,
+  fallback,
+  map,
+  resources = {}
+}, options, include) {
+  return {
+    seed: options.seed,
+    ...(include.includes('title') ? {
+      title,
+      ...(titles !== undefined ? {
+        titles
+      } : {}),
+      ...(contributors !== undefined ? {
+        contributors
+      } : {}),
+      ...(disambiguation !== undefined ? {
+        disambiguation
+      } : {}),
+      ...(correction !== undefined ? {
+        correction
+      } : {}),
+      ...(fallback !== undefined ? {
+        fallback
+      } : {})
+    } : {}),
+    ...(include.includes('freqMap') ? {
+      freqMap: map
+    } : {}),
+    ...Object.fromEntries(Object.entries(resources).filter(([resource]) => include.includes(resource)))
   };
 }
 /**
  * Feature-rich filler text generator.
  * @param input Filler text will be generated from this parameter.
+ *  Array of inputs (optionally weighted, e.g. `{ input: 'coffee', weight: 70 }`) blends them into one.
  * @param options Miscellaneous options.
  * @param include What should be included on the output besides the body.
- * @returns Filler object containing body and maybe (depending on include) title and freqMap.
+ *  Besides `title`, `freqMap` and `stats` (see `getTextStats`), query inputs may include article resources (e.g. `summary`, `categories`).
+ * @returns Filler object containing body, seed and maybe (depending on include) title(s), freqMap, stats and article resources.
  */
 async function fullfiller(input, optionsArg = {}, include = ['title'], stringify = true) {
-  const options = mergeOptions(optionsArg);
+  const options = mergeOptions(await withCorpusLanguage(input, optionsArg));
+  validate(input, options, include);
+  const resolved = await resolveFreqMap(input, options, include);
+  const {
+    map,
+    sections
+  } = resolved;
+  setRandomGenerator(createRandomGenerator(options.seed));
+  setLanguage(options.language);
+  setPunctuation(resolvePunctuation(options.punctuation, options.language));
+  const distribution = distribute(options.quantity, options.unit, options.sentencesPerParagraph, options.wordsPerSentence);
+  const generatedTextArray = generateTextArray(createSentenceGenerator(resolved, options), distribution);
+  const textArray = options.unit === 'characters' ? fitTextArrayToCharacters(generatedTextArray, options.quantity, map) : generatedTextArray;
+  const bodyArray = options.structure === 'none' ? textArray : structureDocument(textArray, map, options.structure === 'article' ? sections : []);
+  const stringifyBodyArray = options.structure === 'none' ? stringifyTextArray : stringifyDocument;
+  const body = stringify ? stringifyBodyArray(bodyArray, options.format, map) : bodyArray;
+  return {
+    body,
+    ...getFillerFields(resolved, options, include),
+    ...(include.includes('stats') ? {
+      stats: getTextStats(textArray)
+    } : {})
+  };
+}
+
+/**
+ * Lazily stringify paragraphs, one chunk per paragraph.
+ * Other fillers may be generated between chunks, so random generator, language & punctuation are set before each one.
+ */
+function* streamBody(resolved, options) {
+  const generator = createRandomGenerator(options.seed);
+  const punctuationProfile = resolvePunctuation(options.punctuation, options.language);
+  const activate = () => {
+    setRandomGenerator(generator);
+    setLanguage(options.language);
+    setPunctuation(punctuationProfile);
+  };
+  const paragraphs = generateParagraphs(createSentenceGenerator(resolved, options), distribute(options.quantity, options.unit, options.sentencesPerParagraph, options.wordsPerSentence));
+  for (;;) {
+    activate();
+    const {
+      value: paragraph,
+      done
+    } = paragraphs.next();
+    if (done) return;
+    yield stringifyParagraphChunk(paragraph, options.format);
+  }
+}
+/**
+ * Same as `fullfiller`, but body is generated lazily (memory usage doesn't grow with quantity).
+ * Given the same seed, chunks joined with `separator` are equal to `fullfiller`'s body.
+ * @param input Filler text will be generated from this parameter.
+ * @param options Miscellaneous options (`characters` unit, `json` format and `structure` aren't supported).
+ * @param include What should be included on the output besides the body.
+ * @returns Filler object containing body (iterator of strings, one per paragraph), separator, seed and maybe (depending on include) title(s), freqMap and article resources.
+ */
+async function fullfillerStream(input, optionsArg = {}, include = ['title']) {
+  const options = mergeOptions(await withCorpusLanguage(input, optionsArg));
+  validate(input, options, include);
+  validateStream(options, include);
+  const resolved = await resolveFreqMap(input, options, include);
+  return {
+    body: streamBody(resolved, options),
+    separator: paragraphsSeparators[options.format],
+    ...getFillerFields(resolved, options, include)
+  };
+}
+
+/**
+ * Score any text the same way as filler's `stats` (see `getTextStats`), e.g. the copy filler is going to replace.
+ * @param text Paragraphs are separated by line breaks.
+ * @param options `language` (its stopwords are used by `stopwordRatio`).
+ */
+function analyzeText(text, optionsArg = {}) {
+  const languageCode = optionsArg.language ?? 'en';
+  const errors = validateLanguage(languageCode);
+  if (!(typeof text === 'string' && /[\p{L}\p{N}]/u.test(text))) {
+    errors.push({
+      code: 'invalid-analyzed-text',
+      message: invalidAnalyzedText
+    });
+  }
+  if (errors.length > 0) {
+    throw new CustomError(`[ ${errors.map(error => error.message).join(', ')} ]`, 'fullfiller', 'validation-failed', {
+      errors
+    });
+  }
+  setLanguage(languageCode);
+  return getTextStats(parseTextArray(text));
+}
+/** Occurrences (`words`), distinct words & tiers of a freqMap, along with its 10 most frequent words. */
+function getFreqMapStats(freqMap) {
+  const counts = [...getWordsTiers(freqMap)].sort(([, a], [, b]) => b - a);
+  return {
+    words: counts.reduce((acc, [, count]) => acc + count, 0),
+    uniqueWords: counts.length,
+    tiers: Object.keys(freqMap).length,
+    topWords: counts.slice(0, 10).map(([word]) => word)
+  };
+}
+/**
+ * Build a corpus profile from any input type and store it (see `setCorpusStore`),
+ * so later fillers can be generated from it (`{ corpus: id }` input) without deriving its freqMap again.
+ * @param input Same as `fullfiller`'s.
+ * @param options Options shaping the freqMap: `language`, `source`, `onDisambiguation`, `autocorrect`,
+ *  `expand`, `depth` and freqMap options (e.g. `emphasize`).
+ * @param id Profile identifier (e.g. `fintech`), a random one is generated if missing.
+ * @returns Stored profile: `id`, `title`, `titles` (blends only), `language`, `map`, `stats` & `createdAt`.
+ */
+async function createCorpus(input, optionsArg = {}, id = globalThis.crypto.randomUUID()) {
+  if (!isCorpusIdValid(id)) {
+    throw new CustomError(`[ ${invalidCorpusId} ]`, 'fullfiller', 'validation-failed', {
+      errors: [{
+        code: 'invalid-corpus-id',
+        message: invalidCorpusId
+      }]
+    });
+  }
+  const options = mergeOptions({
+    ...optionsArg,
+    mode: 'unigram'
+  });
   validate(input, options);
-  /*
-    eslint-disable
-      @typescript-eslint/no-unnecessary-type-assertion,
-      @typescript-eslint/no-non-null-assertion,
-      no-case-declarations,
-      no-fallthrough
-  */
-  switch (getInputType(input)) {
-    case 'query':
-      const article = await getWikipediaArticle(input);
-    case 'text':
-      const wordsArray = tokenizeWords(input.body ?? article.body);
-    case 'wordsArray':
-      const freqMap = generateFreqMap(input.words ?? wordsArray);
-    case 'freqMap':
-      const fm = input.map ?? freqMap;
-      const distribution = distribute(options.quantity, options.unit, options.sentencesPerParagraph, options.wordsPerSentence);
-      const bodyArray = generateTextArray(fm, distribution);
-      const body = stringify ? stringifyTextArray(bodyArray, options.format) : bodyArray;
-      return {
-        body,
-        ...(include.includes('title') ? {
-          title: input.title ?? article.title
-        } : {}),
-        ...(include.includes('freqMap') ? {
-          freqMap: fm
-        } : {})
-      };
-    default:
-      throw new CustomError(invalidInput, 'fullfiller');
+  // fails early, before resolving the input; `insert` below is what prevents overwriting
+  if ((await corpusStore.get(id)) !== undefined) {
+    throw new CustomError(corpusAlreadyExists(id), 'fullfiller', 'corpus-already-exists');
+  }
+  const {
+    title,
+    titles,
+    map
+  } = await resolveFreqMap(input, options, ['title']);
+  const profile = {
+    id,
+    title,
+    ...(titles !== undefined ? {
+      titles
+    } : {}),
+    language: options.language,
+    map,
+    stats: getFreqMapStats(map),
+    createdAt: new Date().toISOString()
+  };
+  if (!(await corpusStore.insert(id, profile))) {
+    throw new CustomError(corpusAlreadyExists(id), 'fullfiller', 'corpus-already-exists');
   }
-  /*
-    eslint-enable
-      @typescript-eslint/no-unnecessary-type-assertion,
-      @typescript-eslint/no-non-null-assertion,
-      no-case-declarations,
-      no-fallthrough
-  */
+  return profile;
+}
+/** @throws CustomError if there's no corpus profile with this id. */
+async function getCorpus(id) {
+  const profile = isCorpusIdValid(id) ? await corpusStore.get(id) : undefined;
+  if (profile === undefined) throw new CustomError(corpusNotFound(id), 'fullfiller', 'corpus-not-found');
+  return profile;
+}
+/** @throws CustomError if there's no corpus profile with this id. */
+async function deleteCorpus(id) {
+  const deleted = isCorpusIdValid(id) && (await corpusStore.delete(id));
+  if (!deleted) throw new CustomError(corpusNotFound(id), 'fullfiller', 'corpus-not-found');
+}
+/** @returns Every stored corpus profile, without its freqMap. */
+async function listCorpora() {
+  return (await corpusStore.list()).map(({
+    map,
+    ...profile
+  }) => profile);
 }
 
-export { fullfiller as default };
+export { CustomError, DirectorySource, FileCache, GutenbergSource, JSONFileCorpusStore, LRUCache, MemoryCorpusStore, OfflineSource, analyzeText, configureClient, createCorpus, deleteCorpus, fullfiller as default, fullfillerStream, generateFreqMap, getCorpus, isInputCorpus, isInputFreqMap, isInputText, isInputWordsArray, listCorpora, registerSource, setCache, setCorpusStore, setFallbackSource, useSources };